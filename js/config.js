@@ -2,13 +2,19 @@
 
 export const CONFIG = {
     // Version for save migration
-    VERSION: '1.0.0',
+    VERSION: '1.3.0',
 
     // Time settings
     TICK_RATE: 60, // Updates per second
     AUTO_SAVE_INTERVAL: 30000, // 30 seconds
+    SAVE_SLOTS: 5, // Maximum named save slots
+    SAVE_BACKUPS: 5, // Rolling backups kept per slot
+    BACKUP_INTERVAL: 600000, // Minimum gap between backups (10 minutes)
     MAX_OFFLINE_HOURS: 24,
+    MIN_OFFLINE_SECONDS: 60, // Shorter absences are not settled
     OFFLINE_EFFICIENCY: 0.5, // 50% efficiency while offline
+    OFFLINE_MAX_STEP: 60, // Longest simulated offline step (seconds)
+    OFFLINE_MAX_STEPS: 20000, // Safety cap on simulated offline steps
 
     // Scene settings
     SCENE: {
@@ -73,6 +79,10 @@ export const CONFIG = {
         research: 0,
     },
 
+    // Energy storage and brownouts
+    BASE_ENERGY_CAPACITY: 5000, // Energy storage before any batteries
+    BROWNOUT_RECOVERY: 0.05, // Stored fraction of capacity that ends a brownout
+
     // Base production rates (per second)
     BASE_PRODUCTION: {
         energy: 1,
@@ -80,6 +90,25 @@ export const CONFIG = {
         research: 0.2,
     },
 
+    // Construction lanes: items built at the same time
+    CONSTRUCTION: {
+        BASE_LANES: 1,
+        LANES_PER_HUB: 1, // Each construction_hub adds a lane
+        LAUNCH_CAPACITY_PER_LANE: 2, // Every 2 points of launch capacity add a lane
+        // 'split': every busy lane builds at the full build speed, so lanes add throughput
+        //          (and, with progressive costs, drain resources that much faster)
+        // 'pooled': one lane's build speed is shared by the busy lanes (stalled items don't count),
+        //          so spending never outpaces a single build
+        DEFAULT_LANE_MODE: 'split',
+        // 'upfront': the full cost is paid when queued, cancelling a started item refunds half
+        // 'progressive': the cost drains as the item progresses and stalls when resources run out
+        DEFAULT_COST_MODE: 'upfront',
+        SALVAGE_FRACTION: 0.5, // Share of a structure's cost (and its upgrades') refunded when decommissioned
+    },
+
+    // Prestige
+    PRESTIGE_MIN_ERA: 3, // Earliest era that allows Stellar Ascension
+
     // Eras
     ERAS: {
         1: {
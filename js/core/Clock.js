@@ -0,0 +1,28 @@
+// Clock - Injectable wall-clock time source (real in the browser, manual in headless runs)
+
+// Real wall clock
+export const systemClock = {
+    now() {
+        return Date.now();
+    },
+};
+
+// Manually advanced clock for simulations
+export class ManualClock {
+    constructor(startTime = 0) {
+        this.time = startTime;
+    }
+
+    // Current time in milliseconds
+    now() {
+        return this.time;
+    }
+
+    // Move time forward by a number of seconds
+    advance(seconds) {
+        this.time += seconds * 1000;
+        return this.time;
+    }
+}
+
+export default systemClock;
@@ -0,0 +1,310 @@
+// Mod Loader - JSON content packs that add or override structures, techs, milestones and planets
+//
+// Pack format:
+//   {
+//     "id": "my_pack", "name": "My Pack", "version": "1.0.0", "description": "...",
+//     "structures": { "<id>": { ...fields } },
+//     "techTree":   { "<id>": { ...fields } },
+//     "milestones": { "<id>": { ...fields } },
+//     "planets":    { "<id>": { ...fields } }
+//   }
+//
+// An entry whose id already exists overrides it field by field (top-level fields replace the
+// original's); any other entry is added and must be complete. Installed packs are kept in
+// storage and applied at startup, before any system reads the data.
+
+import { STRUCTURES } from '../data/structures.js';
+import { TECH_TREE } from '../data/techTree.js';
+import { MILESTONES } from '../data/milestones.js';
+import { PLANETS, getAllCelestialBodies } from '../data/planets.js';
+import { validateContent } from '../data/contentValidation.js';
+import { createStorageAdapter } from './Storage.js';
+
+const MODS_KEY = 'solarK2Bootstrapper_mods';
+const PACK_ID_PATTERN = /^[a-z0-9_-]+$/;
+const PACK_META_KEYS = ['id', 'name', 'version', 'description', 'author'];
+
+// Fields a new (non-override) entry must define, per section
+const REQUIRED_FIELDS = {
+    structures: ['name', 'description', 'icon', 'category', 'era', 'cost', 'buildTime', 'production', 'requiresTech', 'placement'],
+    techTree: ['name', 'description', 'icon', 'era', 'cost', 'prerequisites', 'unlocks', 'effects'],
+    milestones: ['name', 'description', 'icon', 'category', 'condition'],
+    planets: ['name', 'description', 'radius', 'orbitRadius', 'orbitSpeed', 'rotationSpeed', 'color', 'unlockEra', 'sites', 'capacity', 'bonuses'],
+};
+
+// Defaults for optional fields of new entries
+const ENTRY_DEFAULTS = {
+    structures: { limit: null },
+    techTree: {},
+    milestones: {},
+    planets: { features: [], tilt: 0 },
+};
+
+const SECTIONS = Object.keys(REQUIRED_FIELDS);
+
+// Live content keyed by id, per section (planets are spread over several constants)
+function getLiveContent() {
+    return {
+        structures: STRUCTURES,
+        techTree: TECH_TREE,
+        milestones: MILESTONES,
+        planets: Object.fromEntries(getAllCelestialBodies().map(body => [body.id, body])),
+    };
+}
+
+// Merge a pack into copies of the given content; returns the merged copies
+function mergePack(content, pack) {
+    const merged = {};
+
+    for (const section of SECTIONS) {
+        merged[section] = { ...content[section] };
+        for (const [id, entry] of Object.entries(pack[section] || {})) {
+            const base = merged[section][id] || ENTRY_DEFAULTS[section];
+            merged[section][id] = { ...base, ...entry, id };
+        }
+    }
+
+    return merged;
+}
+
+export class ModLoader {
+    constructor({ storage = null } = {}) {
+        this.storage = storage;
+        this.installed = []; // Pack objects in install order
+        this.active = []; // Packs applied this session
+        this.rejected = []; // { id, errors } for installed packs that failed validation
+    }
+
+    // Read installed packs and apply every valid one
+    async init() {
+        this.storage = this.storage || await createStorageAdapter();
+
+        try {
+            this.installed = JSON.parse(await this.storage.get(MODS_KEY) || '[]');
+        } catch (error) {
+            console.error('[ModLoader] Could not read installed packs:', error);
+            this.installed = [];
+        }
+
+        for (const pack of this.installed) {
+            const result = this.validatePack(pack);
+            if (!result.valid) {
+                console.error(`[ModLoader] Skipping pack "${pack.id}":`, result.errors);
+                this.rejected.push({ id: pack.id, errors: result.errors });
+                continue;
+            }
+
+            this.applyPack(pack);
+        }
+
+        console.log('[ModLoader] Active packs:', this.active.map(pack => pack.id).join(', ') || 'none');
+    }
+
+    // Check a pack's metadata and entry shapes; returns a list of errors
+    checkPackShape(pack) {
+        const errors = [];
+
+        if (!pack || typeof pack !== 'object' || Array.isArray(pack)) {
+            return ['Pack must be a JSON object'];
+        }
+
+        if (typeof pack.id !== 'string' || !PACK_ID_PATTERN.test(pack.id)) {
+            errors.push('Pack id must be lowercase letters, digits, "_" or "-"');
+        }
+        if (typeof pack.name !== 'string' || !pack.name.trim()) {
+            errors.push('Pack name is required');
+        }
+        if (typeof pack.version !== 'string') {
+            errors.push('Pack version is required');
+        }
+
+        for (const key of Object.keys(pack)) {
+            if (!PACK_META_KEYS.includes(key) && !SECTIONS.includes(key)) {
+                errors.push(`Unknown pack section "${key}"`);
+            }
+        }
+
+        const live = getLiveContent();
+        for (const section of SECTIONS) {
+            const entries = pack[section];
+            if (entries === undefined) continue;
+
+            if (!entries || typeof entries !== 'object' || Array.isArray(entries)) {
+                errors.push(`"${section}" must map ids to entries`);
+                continue;
+            }
+
+            for (const [id, entry] of Object.entries(entries)) {
+                if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+                    errors.push(`${section}.${id} must be an object`);
+                    continue;
+                }
+                if (entry.id !== undefined && entry.id !== id) {
+                    errors.push(`${section}.${id} has mismatched id "${entry.id}"`);
+                }
+                if (!live[section][id]) {
+                    const missing = REQUIRED_FIELDS[section].filter(field => entry[field] === undefined);
+                    if (missing.length > 0) {
+                        errors.push(`New ${section} entry "${id}" is missing ${missing.join(', ')}`);
+                    }
+                }
+            }
+        }
+
+        return errors;
+    }
+
+    // Check a pack's shape, then the content it would produce on top of what is active.
+    // Returns { valid, errors, warnings }
+    validatePack(pack) {
+        const errors = this.checkPackShape(pack);
+        if (errors.length > 0) {
+            return { valid: false, errors, warnings: [] };
+        }
+
+        const live = getLiveContent();
+        const merged = mergePack(live, pack);
+        const issues = validateContent({
+            techTree: merged.techTree,
+            structures: merged.structures,
+            milestones: merged.milestones,
+            bodies: Object.values(merged.planets),
+        });
+
+        return {
+            valid: !issues.some(issue => issue.severity === 'error'),
+            errors: issues.filter(issue => issue.severity === 'error').map(issue => issue.message),
+            warnings: issues.filter(issue => issue.severity === 'warning').map(issue => issue.message),
+        };
+    }
+
+    // Write a validated pack into the live data constants
+    applyPack(pack) {
+        const live = getLiveContent();
+        const merged = mergePack(live, pack);
+
+        for (const section of SECTIONS) {
+            for (const id of Object.keys(pack[section] || {})) {
+                const existing = live[section][id];
+                if (existing) {
+                    Object.assign(existing, merged[section][id]);
+                } else if (section === 'planets') {
+                    PLANETS.push(merged[section][id]);
+                } else {
+                    live[section][id] = merged[section][id];
+                }
+            }
+        }
+
+        this.active.push(pack);
+        console.log('[ModLoader] Applied pack:', pack.id, pack.version);
+    }
+
+    // Install (or update) a pack from JSON text; takes effect after a reload.
+    // Returns { success: true, pack, warnings } or { success: false, reason, errors }
+    async install(text) {
+        let pack;
+        try {
+            pack = JSON.parse(text);
+        } catch (error) {
+            return { success: false, reason: 'invalid_json', errors: [error.message] };
+        }
+
+        // The live data already holds the old version of an active pack, so an update
+        // can only be shape-checked here; its content is checked when it loads
+        if (this.active.some(active => active.id === pack?.id)) {
+            return this.replaceInstalled(pack);
+        }
+
+        const result = this.validatePack(pack);
+        if (!result.valid) {
+            return { success: false, reason: 'invalid_pack', errors: result.errors };
+        }
+
+        // Reinstalling an inactive (e.g. rejected) pack replaces its entry
+        if (this.installed.some(installed => installed.id === pack.id)) {
+            this.installed = this.installed.map(installed => installed.id === pack.id ? pack : installed);
+        } else {
+            this.installed.push(pack);
+        }
+        await this.saveInstalled();
+
+        console.log('[ModLoader] Installed pack:', pack.id);
+        return { success: true, pack, warnings: result.warnings };
+    }
+
+    // Replace an active pack with a new version
+    async replaceInstalled(pack) {
+        const errors = this.checkPackShape(pack);
+        if (errors.length > 0) {
+            return { success: false, reason: 'invalid_pack', errors };
+        }
+
+        this.installed = this.installed.map(installed => installed.id === pack.id ? pack : installed);
+        await this.saveInstalled();
+
+        console.log('[ModLoader] Updated pack:', pack.id);
+        return { success: true, pack, warnings: [] };
+    }
+
+    // Remove an installed pack; takes effect after a reload
+    async uninstall(packId) {
+        if (!this.installed.some(pack => pack.id === packId)) {
+            return { success: false, reason: 'unknown_pack' };
+        }
+
+        this.installed = this.installed.filter(pack => pack.id !== packId);
+        await this.saveInstalled();
+
+        console.log('[ModLoader] Uninstalled pack:', packId);
+        return { success: true };
+    }
+
+    async saveInstalled() {
+        await this.storage.set(MODS_KEY, JSON.stringify(this.installed));
+    }
+
+    // Installed packs for the UI, flagged when active or rejected
+    getInstalledPacks() {
+        return this.installed.map(pack => ({
+            id: pack.id,
+            name: pack.name,
+            version: pack.version,
+            description: pack.description || '',
+            active: this.active.includes(pack),
+            errors: this.rejected.find(rejected => rejected.id === pack.id)?.errors || null,
+        }));
+    }
+
+    // Packs applied this session, as recorded in saves
+    getActivePacks() {
+        return this.active.map(pack => ({ id: pack.id, name: pack.name, version: pack.version }));
+    }
+
+    // Packs a save requires that are not active this session, or are active at another version
+    // (those come back with the active version as activeVersion)
+    getMissingPacks(required = []) {
+        const missing = [];
+        for (const pack of required || []) {
+            const active = this.active.find(candidate => candidate.id === pack.id);
+            if (!active) {
+                missing.push(pack);
+            } else if (pack.version !== undefined && active.version !== pack.version) {
+                missing.push({ ...pack, activeVersion: active.version });
+            }
+        }
+        return missing;
+    }
+}
+
+// Singleton instance
+let instance = null;
+
+export function getModLoader() {
+    if (!instance) {
+        instance = new ModLoader();
+    }
+    return instance;
+}
+
+export default ModLoader;
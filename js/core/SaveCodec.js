@@ -0,0 +1,125 @@
+// Save Codec - Compact export strings: deflate-compressed JSON, base64, with a CRC32 checksum
+//
+// Format: SK2:<format version>:<crc32 of the JSON, hex>:<base64 deflate data>
+// Legacy exports (plain JSON) are still accepted by decodeSave.
+
+import { CONFIG } from '../config.js';
+import { validateSaveState, compareVersions } from './SaveMigrations.js';
+
+const PREFIX = 'SK2';
+const FORMAT_VERSION = 1;
+
+// CRC32 lookup table
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+// CRC32 of a string's UTF-8 bytes, as 8 hex digits
+export function checksum(text) {
+    const bytes = new TextEncoder().encode(text);
+    let crc = 0xffffffff;
+    for (const byte of bytes) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return ((crc ^ 0xffffffff) >>> 0).toString(16).padStart(8, '0');
+}
+
+// Pipe bytes through a compression or decompression stream
+async function transform(bytes, stream) {
+    const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+    return new Uint8Array(await response.arrayBuffer());
+}
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+// Encode a save state as a compact export string
+export async function encodeSave(state) {
+    const json = JSON.stringify(state);
+    const compressed = await transform(new TextEncoder().encode(json), new CompressionStream('deflate-raw'));
+    return `${PREFIX}:${FORMAT_VERSION}:${checksum(json)}:${bytesToBase64(compressed)}`;
+}
+
+// Decode an export string (or legacy plain JSON) into a save state.
+// Returns { success: true, state, legacy } or { success: false, reason, errors }
+export async function decodeSave(text) {
+    const input = String(text || '').trim();
+    if (!input) {
+        return { success: false, reason: 'empty' };
+    }
+
+    let json;
+    let legacy = false;
+
+    if (input.startsWith('{')) {
+        // Legacy plain JSON export
+        json = input;
+        legacy = true;
+    } else {
+        const parts = input.split(':');
+        if (parts.length !== 4 || parts[0] !== PREFIX) {
+            return { success: false, reason: 'unknown_format' };
+        }
+
+        const [, formatVersion, expectedChecksum, data] = parts;
+        if (Number(formatVersion) !== FORMAT_VERSION) {
+            return { success: false, reason: 'unsupported_format' };
+        }
+
+        try {
+            const bytes = await transform(base64ToBytes(data), new DecompressionStream('deflate-raw'));
+            json = new TextDecoder().decode(bytes);
+        } catch (error) {
+            // Bad base64 or a cut-off deflate stream
+            return { success: false, reason: 'truncated' };
+        }
+
+        if (checksum(json) !== expectedChecksum) {
+            return { success: false, reason: 'checksum_mismatch' };
+        }
+    }
+
+    let state;
+    try {
+        state = JSON.parse(json);
+    } catch (error) {
+        return { success: false, reason: legacy ? 'invalid_json' : 'truncated' };
+    }
+
+    if (!state || !state.version) {
+        return { success: false, reason: 'invalid_save', errors: ['version is missing'] };
+    }
+
+    if (compareVersions(state.version, CONFIG.VERSION) > 0) {
+        return { success: false, reason: 'newer_version' };
+    }
+
+    const validation = validateSaveState(state);
+    if (!validation.valid) {
+        return { success: false, reason: 'invalid_save', errors: validation.errors };
+    }
+
+    return { success: true, state, legacy };
+}
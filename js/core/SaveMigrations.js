@@ -0,0 +1,223 @@
+// Save Migrations - Ordered chain of versioned save upgrades with validation after each step
+
+import { CONFIG } from '../config.js';
+import { STRUCTURES } from '../data/structures.js';
+import { getPlacementBody } from '../data/planets.js';
+import { SECONDARY_RESOURCE_IDS } from '../data/resources.js';
+
+// Registered steps, kept sorted by version. Each step upgrades a save to exactly its version.
+const MIGRATIONS = [];
+
+// Compare version strings
+export function compareVersions(a, b) {
+    const partsA = a.split('.').map(Number);
+    const partsB = b.split('.').map(Number);
+
+    for (let i = 0; i < 3; i++) {
+        if ((partsA[i] || 0) > (partsB[i] || 0)) return 1;
+        if ((partsA[i] || 0) < (partsB[i] || 0)) return -1;
+    }
+
+    return 0;
+}
+
+// Register a migration step: { version, description, migrate(state) => state }
+export function registerMigration(step) {
+    if (MIGRATIONS.some(existing => existing.version === step.version)) {
+        throw new Error(`Migration for ${step.version} is already registered`);
+    }
+
+    MIGRATIONS.push(step);
+    MIGRATIONS.sort((a, b) => compareVersions(a.version, b.version));
+}
+
+// Get registered steps in order
+export function getMigrations() {
+    return [...MIGRATIONS];
+}
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isCountMap = value => isObject(value) && Object.values(value).every(count => typeof count === 'number');
+const optional = check => value => value === undefined || check(value);
+const isStringList = value => Array.isArray(value) && value.every(entry => typeof entry === 'string');
+
+// Standing orders: 'maintain' keeps a count, 'repeat' builds above a resource threshold
+function isStandingOrderShape(order) {
+    if (!isObject(order) || typeof order.structureId !== 'string') return false;
+    if (order.type === 'maintain') return Number.isInteger(order.count) && order.count >= 1;
+    return order.type === 'repeat' && typeof order.resource === 'string' && Number.isFinite(order.threshold);
+}
+
+// Queue items: progressive items track what they have paid
+function isCostModeShape(item) {
+    if (item.costMode === undefined || item.costMode === 'upfront') return true;
+    return item.costMode === 'progressive' && isCountMap(item.paid);
+}
+
+// Queue items: upgrades carry the tier step they make
+function isQueueTypeShape(item) {
+    if (item.type === undefined) return true;
+    return item.type === 'upgrade' && Number.isInteger(item.fromTier) && item.tier === item.fromTier + 1;
+}
+
+// Schema checks; each applies from its version onward
+const SCHEMA = [
+    { since: '0.0.0', path: 'resources', check: value => isCountMap(value), message: 'must map resource names to numbers' },
+    { since: '0.0.0', path: 'structures', check: value => value === undefined || isCountMap(value), message: 'must map structure ids to counts' },
+    { since: '0.0.0', path: 'completedResearch', check: value => value === undefined || Array.isArray(value), message: 'must be an array' },
+    { since: '0.0.0', path: 'constructionQueue', check: value => value === undefined || Array.isArray(value), message: 'must be an array' },
+    { since: '1.1.0', path: 'placements', check: value => isObject(value) && Object.values(value).every(isCountMap), message: 'must map body ids to structure counts' },
+    { since: '1.1.0', path: 'constructionQueue', check: value => (value || []).every(item => item.structureId && item.bodyId), message: 'items need structureId and bodyId' },
+    { since: '1.2.0', path: 'researchQueue', check: value => Array.isArray(value), message: 'must be an array' },
+    { since: '1.2.0', path: 'researchProgressMap', check: value => isCountMap(value), message: 'must map tech ids to progress' },
+    { since: '1.2.0', path: 'currentResearch', check: value => value === undefined, message: 'legacy field must be removed' },
+    { since: '1.2.0', path: 'researchProgress', check: value => value === undefined, message: 'legacy field must be removed' },
+    { since: '1.3.0', path: 'prestige', check: optional(value => isObject(value) && ['currency', 'totalEarned', 'ascensions'].every(key => typeof value[key] === 'number') && isCountMap(value.upgrades)), message: 'must have numeric currency, totalEarned, ascensions and an upgrade level map' },
+    { since: '1.3.0', path: 'power', check: optional(value => isObject(value) && ['supply', 'demand', 'draw'].every(key => typeof value[key] === 'number')), message: 'must have numeric supply, demand and draw' },
+    { since: '1.3.0', path: 'resources', check: value => SECONDARY_RESOURCE_IDS.every(id => value[id] === undefined || value[id] >= 0), message: 'secondary resources must not be negative' },
+    { since: '1.3.0', path: 'pendingResearch', check: optional(isStringList), message: 'must be an array of tech ids' },
+    { since: '1.3.0', path: 'researchWeights', check: optional(isCountMap), message: 'must map tech ids to weights' },
+    { since: '1.3.0', path: 'researchFocus', check: value => value === undefined || value === null || typeof value === 'string', message: 'must be a tech id or null' },
+    { since: '1.3.0', path: 'standingOrders', check: optional(value => Array.isArray(value) && value.every(isStandingOrderShape)), message: 'must be an array of maintain/repeat orders' },
+    { since: '1.3.0', path: 'constructionQueue', check: value => (value || []).every(isCostModeShape), message: 'items have an unknown cost mode or are missing their paid amounts' },
+    { since: '1.3.0', path: 'structureTiers', check: optional(value => isObject(value) && Object.values(value).every(body => isObject(body) && Object.values(body).every(isCountMap))), message: 'must map body ids to structure tier counts' },
+    { since: '1.3.0', path: 'constructionQueue', check: value => (value || []).every(isQueueTypeShape), message: 'items have an unknown type or are missing their tier step' },
+];
+
+// Validate a save against the schema for a version
+export function validateSaveState(state, version = state?.version || '0.0.0') {
+    if (!isObject(state)) {
+        return { valid: false, errors: ['save is not an object'] };
+    }
+
+    const errors = SCHEMA
+        .filter(rule => compareVersions(version, rule.since) >= 0)
+        .filter(rule => !rule.check(state[rule.path]))
+        .map(rule => `${rule.path} ${rule.message}`);
+
+    return { valid: errors.length === 0, errors };
+}
+
+// List leaf-level differences between two states as { path, type, from, to }
+export function diffStates(before, after, path = '') {
+    const changes = [];
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    for (const key of keys) {
+        const keyPath = path ? `${path}.${key}` : key;
+        const from = before?.[key];
+        const to = after?.[key];
+
+        if (isObject(from) && isObject(to)) {
+            changes.push(...diffStates(from, to, keyPath));
+        } else if (from === undefined) {
+            changes.push({ path: keyPath, type: 'added', to });
+        } else if (to === undefined) {
+            changes.push({ path: keyPath, type: 'removed', from });
+        } else if (JSON.stringify(from) !== JSON.stringify(to)) {
+            changes.push({ path: keyPath, type: 'changed', from, to });
+        }
+    }
+
+    return changes;
+}
+
+// Run every step newer than the save's version. The input is never modified.
+// Returns { success, state, fromVersion, toVersion, steps: [{ version, description, changes }] }
+// or { success: false, reason, version, errors, steps } when a step fails validation.
+export function runMigrations(input, targetVersion = CONFIG.VERSION) {
+    const fromVersion = input?.version || '0.0.0';
+    let state = JSON.parse(JSON.stringify(input));
+    const steps = [];
+
+    if (compareVersions(fromVersion, targetVersion) > 0) {
+        return { success: false, reason: 'newer_version', version: fromVersion, errors: [], steps };
+    }
+
+    const initial = validateSaveState(state, fromVersion);
+    if (!initial.valid) {
+        return { success: false, reason: 'invalid_save', version: fromVersion, errors: initial.errors, steps };
+    }
+
+    const pending = MIGRATIONS.filter(step =>
+        compareVersions(step.version, fromVersion) > 0 &&
+        compareVersions(step.version, targetVersion) <= 0
+    );
+
+    for (const step of pending) {
+        const before = state;
+        state = step.migrate(JSON.parse(JSON.stringify(before)));
+        state.version = step.version;
+
+        const validation = validateSaveState(state, step.version);
+        if (!validation.valid) {
+            return { success: false, reason: 'validation_failed', version: step.version, errors: validation.errors, steps };
+        }
+
+        steps.push({ version: step.version, description: step.description, changes: diffStates(before, state) });
+    }
+
+    state.version = targetVersion;
+
+    return { success: true, state, fromVersion, toVersion: targetVersion, steps };
+}
+
+// 1.1.0: structures are placed on bodies; spread the old count map onto default bodies
+registerMigration({
+    version: '1.1.0',
+    description: 'Place existing structures on their default celestial bodies',
+    migrate(state) {
+        if (!state.placements || Object.keys(state.placements).length === 0) {
+            const placements = {};
+
+            for (const [structureId, count] of Object.entries(state.structures || {})) {
+                if (!count) continue;
+                const bodyId = getPlacementBody(STRUCTURES[structureId]?.placement);
+                if (!placements[bodyId]) placements[bodyId] = {};
+                placements[bodyId][structureId] = (placements[bodyId][structureId] || 0) + count;
+            }
+
+            state.placements = placements;
+        }
+
+        // Queued items target the default body of their structure
+        for (const item of state.constructionQueue || []) {
+            if (!item.bodyId) {
+                item.bodyId = getPlacementBody(STRUCTURES[item.structureId]?.placement);
+            }
+            delete item.position;
+        }
+
+        return state;
+    },
+});
+
+// 1.2.0: single-research fields are replaced by the research queue
+registerMigration({
+    version: '1.2.0',
+    description: 'Move legacy currentResearch/researchProgress into the research queue',
+    migrate(state) {
+        if (!Array.isArray(state.researchQueue)) state.researchQueue = [];
+        if (!isObject(state.researchProgressMap)) state.researchProgressMap = {};
+
+        if (state.currentResearch && state.researchQueue.length === 0) {
+            state.researchQueue.push(state.currentResearch);
+            state.researchProgressMap[state.currentResearch] = state.researchProgress || 0;
+        }
+
+        delete state.currentResearch;
+        delete state.researchProgress;
+
+        return state;
+    },
+});
+
+// 1.3.0: fields added since 1.2.0 are optional and load with defaults, so nothing is converted;
+// the version marks where their schema rules start
+registerMigration({
+    version: '1.3.0',
+    description: 'Start checking fields added since 1.2.0',
+    migrate(state) {
+        return state;
+    },
+});
@@ -1,23 +1,67 @@
-// Save System - LocalStorage persistence with auto-save and migration
+// Save System - Named save slots over async storage adapters, with auto-save, rolling backups and migration
 
 import { CONFIG } from '../config.js';
 import { getStateManager } from './StateManager.js';
+import { createStorageAdapter, LocalStorageAdapter, isQuotaError } from './Storage.js';
+import { systemClock } from './Clock.js';
+import { runMigrations, compareVersions } from './SaveMigrations.js';
+import { encodeSave, decodeSave } from './SaveCodec.js';
+import { getModLoader } from './ModLoader.js';
 
+const SLOT_INDEX_KEY = 'solarK2Bootstrapper_slots';
 const SAVE_KEY = 'solarK2Bootstrapper_save';
 const BACKUP_KEY = 'solarK2Bootstrapper_backup';
+const EMERGENCY_KEY = 'solarK2Bootstrapper_emergency';
+const DEFAULT_SLOT = 'slot_1';
 
 export class SaveSystem {
-    constructor() {
-        this.stateManager = getStateManager();
+    // storage: an adapter from Storage.js; when omitted the best available one is picked in init()
+    // emergencyStorage: synchronous Storage (localStorage) for the snapshot written as the page closes
+    constructor({
+        stateManager = getStateManager(),
+        storage = null,
+        emergencyStorage = null,
+        clock = systemClock,
+        modLoader = getModLoader(),
+    } = {}) {
+        this.stateManager = stateManager;
+        this.storage = storage;
+        this.emergencyStorage = emergencyStorage;
+        this.clock = clock;
+        this.modLoader = modLoader;
         this.autoSaveInterval = null;
         this.lastSaveTime = 0;
         this.saveDebounceTimer = null;
+
+        // Slot index: { activeSlot, slots: { slotId: { id, name, createdAt, header, backups } } }
+        this.slotIndex = null;
+
+        // Set when switching slots so unload hooks don't write the old session into the new slot
+        // (and when the save could not be loaded, so it is never overwritten)
+        this.locked = false;
+
+        // Why the active slot's save was refused: { reason, missing }
+        this.loadError = null;
+
+        // Writes run one at a time so backups and the index never interleave
+        this.writeQueue = Promise.resolve();
     }
 
     // Initialize save system
-    init() {
+    async init() {
+        this.storage = this.storage || await createStorageAdapter();
+        console.log('[SaveSystem] Using storage:', this.storage.name);
+
+        // Async storage can't finish a write while the page is torn down; keep a synchronous copy
+        if (!this.emergencyStorage && this.storage.name !== 'localStorage' && LocalStorageAdapter.isAvailable()) {
+            this.emergencyStorage = globalThis.localStorage;
+        }
+
+        // Read the slot index (moving older saves into place)
+        await this.loadSlotIndex();
+
         // Try to load existing save
-        const loaded = this.load();
+        const loaded = await this.load();
 
         // Start auto-save if enabled
         if (this.stateManager.getSetting('autoSave')) {
@@ -37,52 +81,441 @@ export class SaveSystem {
 
         // Save on important events (debounced)
         this.stateManager.subscribe('structure:built', () => this.debouncedSave());
+        this.stateManager.subscribe('structure:removed', () => this.debouncedSave());
+        this.stateManager.subscribe('structure:upgraded', () => this.debouncedSave());
         this.stateManager.subscribe('research:complete', () => this.debouncedSave());
         this.stateManager.subscribe('milestone:claimed', () => this.debouncedSave());
 
-        // Save before page unload
-        window.addEventListener('beforeunload', () => {
-            this.save();
-        });
+        // Page lifecycle hooks only exist in the browser. Hiding the tab is the reliable
+        // last chance to write (unload often never runs on mobile); both flush synchronously.
+        if (typeof window !== 'undefined') {
+            document.addEventListener('visibilitychange', () => {
+                if (document.hidden) {
+                    this.flushSave();
+                }
+            });
 
-        // Handle visibility change (save when tab becomes hidden)
-        document.addEventListener('visibilitychange', () => {
-            if (document.hidden) {
-                this.save();
-            }
-        });
+            window.addEventListener('beforeunload', () => {
+                this.flushSave();
+            });
+        }
 
         return loaded;
     }
 
-    // Save current state to LocalStorage
-    save() {
+    // Storage key for a slot's save data
+    getSlotKey(slotId) {
+        return `${SAVE_KEY}_${slotId}`;
+    }
+
+    // Storage key for one of a slot's backups
+    getBackupKey(slotId, timestamp) {
+        return `${BACKUP_KEY}_${slotId}_${timestamp}`;
+    }
+
+    // Read the slot index, creating it on first run
+    async loadSlotIndex() {
         try {
-            const state = this.stateManager.getSerializableState();
-            state.lastSaveAt = Date.now();
+            const indexData = await this.storage.get(SLOT_INDEX_KEY);
+            if (indexData) {
+                this.slotIndex = JSON.parse(indexData);
+                return this.slotIndex;
+            }
+        } catch (error) {
+            console.error('[SaveSystem] Slot index unreadable, rebuilding:', error);
+        }
+
+        // Saves made before IndexedDB support live in localStorage
+        if (this.storage.name !== 'localStorage' && LocalStorageAdapter.isAvailable()) {
+            const copied = await this.copySlotsFrom(new LocalStorageAdapter());
+            if (copied) return this.slotIndex;
+        }
+
+        this.slotIndex = { activeSlot: DEFAULT_SLOT, slots: {} };
+        this.slotIndex.slots[DEFAULT_SLOT] = this.createSlotEntry(DEFAULT_SLOT, 'Slot 1');
+        await this.migrateLegacySave(this.storage);
+        if (this.storage.name !== 'localStorage' && LocalStorageAdapter.isAvailable()) {
+            await this.migrateLegacySave(new LocalStorageAdapter());
+        }
+        await this.saveSlotIndex();
+
+        return this.slotIndex;
+    }
+
+    // Persist the slot index
+    async saveSlotIndex() {
+        await this.storage.set(SLOT_INDEX_KEY, JSON.stringify(this.slotIndex));
+    }
+
+    // Copy every slot and backup from another storage (originals are left as a fallback)
+    async copySlotsFrom(source) {
+        const indexData = await source.get(SLOT_INDEX_KEY);
+        if (!indexData) return false;
+
+        const index = JSON.parse(indexData);
+        for (const slot of Object.values(index.slots)) {
+            const keys = [this.getSlotKey(slot.id), ...slot.backups.map(t => this.getBackupKey(slot.id, t))];
+            for (const key of keys) {
+                const value = await source.get(key);
+                if (value !== null) await this.storage.set(key, value);
+            }
+        }
+
+        this.slotIndex = index;
+        await this.saveSlotIndex();
+        console.log(`[SaveSystem] Copied save slots from ${source.name} to ${this.storage.name}`);
+
+        return true;
+    }
+
+    // Create an empty slot entry
+    createSlotEntry(slotId, name) {
+        return {
+            id: slotId,
+            name,
+            createdAt: this.clock.now(),
+            header: null,
+            backups: [], // Backup timestamps, newest first
+        };
+    }
+
+    // Move a pre-slot save (single save + backup key) into the default slot
+    async migrateLegacySave(source) {
+        const slot = this.slotIndex.slots[DEFAULT_SLOT];
+        if (slot.header) return;
+
+        const legacySave = await source.get(SAVE_KEY);
+        const legacyBackup = await source.get(BACKUP_KEY);
+        const sameStorage = source === this.storage;
+
+        if (legacySave) {
+            await this.storage.set(this.getSlotKey(DEFAULT_SLOT), legacySave);
+            try {
+                slot.header = this.createHeader(JSON.parse(legacySave));
+            } catch (error) {
+                // Unreadable save still counts as data; load() will fall back to backups
+                slot.header = this.createHeader({});
+            }
+            if (sameStorage) await source.remove(SAVE_KEY);
+        }
+
+        if (legacyBackup) {
+            const timestamp = this.clock.now();
+            await this.storage.set(this.getBackupKey(DEFAULT_SLOT, timestamp), legacyBackup);
+            slot.backups.unshift(timestamp);
+            if (sameStorage) await source.remove(BACKUP_KEY);
+        }
+
+        if (legacySave || legacyBackup) {
+            console.log(`[SaveSystem] Moved legacy save from ${source.name} into`, DEFAULT_SLOT);
+        }
+    }
+
+    // Summary shown in the slot picker
+    createHeader(state) {
+        return {
+            era: state.currentEra || 1,
+            solarCapture: state.solarCapture || 0,
+            playTime: state.totalPlayTime || 0,
+            lastSavedAt: state.lastSaveAt || null,
+        };
+    }
+
+    // Get the active slot id
+    getActiveSlot() {
+        return this.slotIndex.activeSlot;
+    }
+
+    // Get all slots, oldest first
+    getSlots() {
+        return Object.values(this.slotIndex.slots)
+            .sort((a, b) => a.createdAt - b.createdAt)
+            .map(slot => ({
+                ...slot,
+                active: slot.id === this.slotIndex.activeSlot,
+                hasData: slot.header !== null,
+            }));
+    }
+
+    // Pick an unused slot id
+    getNextSlotId() {
+        let n = 1;
+        while (this.slotIndex.slots[`slot_${n}`]) n++;
+        return `slot_${n}`;
+    }
+
+    // Validate a slot name
+    normalizeSlotName(name) {
+        const trimmed = String(name || '').trim().slice(0, 32);
+        return trimmed.length > 0 ? trimmed : null;
+    }
+
+    // Create an empty slot
+    async createSlot(name) {
+        if (Object.keys(this.slotIndex.slots).length >= CONFIG.SAVE_SLOTS) {
+            return { success: false, reason: 'slots_full' };
+        }
+
+        const slotId = this.getNextSlotId();
+        const slotName = this.normalizeSlotName(name) || `Slot ${slotId.split('_')[1]}`;
+
+        this.slotIndex.slots[slotId] = this.createSlotEntry(slotId, slotName);
+        await this.saveSlotIndex();
+        this.stateManager.emit('save:slots', { slots: this.getSlots() });
+
+        return { success: true, slotId };
+    }
+
+    // Copy a slot's save into a new slot (backups are not copied)
+    async copySlot(slotId, name) {
+        const source = this.slotIndex.slots[slotId];
+        if (!source) {
+            return { success: false, reason: 'unknown_slot' };
+        }
+
+        // Copying the active slot should capture the current session
+        if (slotId === this.slotIndex.activeSlot) {
+            await this.save();
+        }
+
+        const result = await this.createSlot(name || `${source.name} (copy)`);
+        if (!result.success) return result;
+
+        const saveData = await this.storage.get(this.getSlotKey(slotId));
+        if (saveData) {
+            await this.storage.set(this.getSlotKey(result.slotId), saveData);
+            this.slotIndex.slots[result.slotId].header = source.header ? { ...source.header } : null;
+            await this.saveSlotIndex();
+        }
+
+        this.stateManager.emit('save:slots', { slots: this.getSlots() });
+        return result;
+    }
+
+    // Rename a slot
+    async renameSlot(slotId, name) {
+        const slot = this.slotIndex.slots[slotId];
+        if (!slot) {
+            return { success: false, reason: 'unknown_slot' };
+        }
+
+        const slotName = this.normalizeSlotName(name);
+        if (!slotName) {
+            return { success: false, reason: 'invalid_name' };
+        }
+
+        slot.name = slotName;
+        await this.saveSlotIndex();
+        this.stateManager.emit('save:slots', { slots: this.getSlots() });
+
+        return { success: true };
+    }
+
+    // Delete a slot and its backups (the active slot can't be deleted)
+    async deleteSlot(slotId) {
+        if (!this.slotIndex.slots[slotId]) {
+            return { success: false, reason: 'unknown_slot' };
+        }
+
+        if (slotId === this.slotIndex.activeSlot) {
+            return { success: false, reason: 'active_slot' };
+        }
+
+        await this.clearSlotData(slotId);
+        delete this.slotIndex.slots[slotId];
+        await this.saveSlotIndex();
+        this.stateManager.emit('save:slots', { slots: this.getSlots() });
+
+        return { success: true };
+    }
+
+    // Make another slot active (caller reloads to start playing it)
+    async switchSlot(slotId) {
+        if (!this.slotIndex.slots[slotId]) {
+            return { success: false, reason: 'unknown_slot' };
+        }
+
+        if (slotId === this.slotIndex.activeSlot) {
+            return { success: true };
+        }
+
+        // Keep the session we're leaving, then stop writing until reload
+        await this.save();
+        this.stopAutoSave();
+        clearTimeout(this.saveDebounceTimer);
+        this.locked = true;
+
+        this.slotIndex.activeSlot = slotId;
+        await this.saveSlotIndex();
+
+        return { success: true };
+    }
+
+    // Remove a slot's save and all its backups
+    async clearSlotData(slotId) {
+        const slot = this.slotIndex.slots[slotId];
+
+        await this.storage.remove(this.getSlotKey(slotId));
+        this.emergencyStorage?.removeItem(this.getEmergencyKey(slotId));
+        for (const timestamp of slot.backups) {
+            await this.storage.remove(this.getBackupKey(slotId, timestamp));
+        }
 
-            // Create backup of previous save first
-            const previousSave = localStorage.getItem(SAVE_KEY);
+        slot.backups = [];
+        slot.header = null;
+    }
+
+    // Copy the slot's previous save into a timestamped backup, keeping the newest few
+    async rotateBackups(slotId, previousSave) {
+        const slot = this.slotIndex.slots[slotId];
+        const now = this.clock.now();
+
+        // Autosave runs often; only back up once per interval
+        if (slot.backups.length > 0 && now - slot.backups[0] < CONFIG.BACKUP_INTERVAL) {
+            return;
+        }
+
+        await this.storage.set(this.getBackupKey(slotId, now), previousSave);
+        slot.backups.unshift(now);
+
+        for (const timestamp of slot.backups.splice(CONFIG.SAVE_BACKUPS)) {
+            await this.storage.remove(this.getBackupKey(slotId, timestamp));
+        }
+    }
+
+    // Free space by dropping a slot's oldest backup; returns false when none are left
+    async pruneOldestBackup(slotId) {
+        const slot = this.slotIndex.slots[slotId];
+        const oldest = slot.backups.pop();
+        if (oldest === undefined) return false;
+
+        await this.storage.remove(this.getBackupKey(slotId, oldest));
+        return true;
+    }
+
+    // Get a slot's backup timestamps, newest first
+    getBackups(slotId = this.slotIndex.activeSlot) {
+        return [...(this.slotIndex.slots[slotId]?.backups || [])];
+    }
+
+    // Storage key for a slot's emergency snapshot
+    getEmergencyKey(slotId) {
+        return `${EMERGENCY_KEY}_${slotId}`;
+    }
+
+    // Serialize the current state for the active slot
+    createSaveData() {
+        const state = this.stateManager.getSerializableState();
+        state.lastSaveAt = this.clock.now();
+        state.mods = this.modLoader.getActivePacks();
+        return { state, saveData: JSON.stringify(state) };
+    }
+
+    // Save while the page is closing: serialize now and start the write before returning.
+    // The snapshot goes synchronously to emergency storage, and the slot gets one put with
+    // no read first (no backup rotation); load() takes whichever copy is newer.
+    flushSave() {
+        if (this.locked || !this.slotIndex) return false;
+
+        const slotId = this.slotIndex.activeSlot;
+        const { state, saveData } = this.createSaveData();
+
+        if (this.emergencyStorage) {
+            try {
+                this.emergencyStorage.setItem(this.getEmergencyKey(slotId), saveData);
+            } catch (error) {
+                console.warn('[SaveSystem] Emergency snapshot failed:', error);
+            }
+        }
+
+        this.slotIndex.slots[slotId].header = this.createHeader(state);
+        this.storage.set(this.getSlotKey(slotId), saveData)
+            .then(() => this.saveSlotIndex())
+            .catch(error => console.error('[SaveSystem] Flush failed:', error));
+
+        return true;
+    }
+
+    // Emergency snapshot of a slot if it is newer than the stored save, else null
+    readEmergencySave(slotId, saveData) {
+        const snapshot = this.emergencyStorage?.getItem(this.getEmergencyKey(slotId));
+        if (!snapshot) return null;
+
+        try {
+            const snapshotAt = JSON.parse(snapshot).lastSaveAt || 0;
+            const savedAt = saveData ? JSON.parse(saveData).lastSaveAt || 0 : -Infinity;
+            return snapshotAt > savedAt ? snapshot : null;
+        } catch (error) {
+            // An unreadable stored save loses to a readable snapshot
+            return saveData ? snapshot : null;
+        }
+    }
+
+    // Save current state to the active slot (queued behind any write in progress)
+    save() {
+        if (this.locked) return Promise.resolve(false);
+
+        this.writeQueue = this.writeQueue.then(() => this.writeSave());
+        return this.writeQueue;
+    }
+
+    // Write the current state, freeing backups and retrying if storage is full
+    async writeSave() {
+        const slotId = this.slotIndex.activeSlot;
+        const { state, saveData } = this.createSaveData();
+
+        try {
+            // Back up the previous save first
+            const previousSave = await this.storage.get(this.getSlotKey(slotId));
             if (previousSave) {
-                localStorage.setItem(BACKUP_KEY, previousSave);
+                await this.rotateBackups(slotId, previousSave);
             }
 
-            // Save new state
-            const saveData = JSON.stringify(state);
-            localStorage.setItem(SAVE_KEY, saveData);
+            await this.writeWithPruning(slotId, this.getSlotKey(slotId), saveData);
+
+            this.slotIndex.slots[slotId].header = this.createHeader(state);
+            await this.saveSlotIndex();
+
+            // Drop the snapshot unless a flush wrote a newer one while this save was in flight
+            if (this.emergencyStorage && !this.readEmergencySave(slotId, saveData)) {
+                this.emergencyStorage.removeItem(this.getEmergencyKey(slotId));
+            }
 
-            this.lastSaveTime = Date.now();
-            this.stateManager.emit('save:complete', { timestamp: this.lastSaveTime });
+            this.lastSaveTime = this.clock.now();
+            this.stateManager.emit('save:complete', { timestamp: this.lastSaveTime, slotId });
 
             console.log('[SaveSystem] Game saved');
             return true;
         } catch (error) {
             console.error('[SaveSystem] Save failed:', error);
-            this.stateManager.emit('save:error', { error });
+
+            const quota = isQuotaError(error);
+            this.stateManager.emit('save:error', {
+                error,
+                reason: quota ? 'quota_exceeded' : 'write_failed',
+                message: quota
+                    ? 'Browser storage is full. Delete unused save slots or export your save, then free up site data for this page.'
+                    : 'Your progress could not be saved. Export your save to keep a copy.',
+            });
             return false;
         }
     }
 
+    // Write a key, dropping the slot's oldest backups while storage reports it is full
+    async writeWithPruning(slotId, key, value) {
+        for (;;) {
+            try {
+                await this.storage.set(key, value);
+                return;
+            } catch (error) {
+                if (!isQuotaError(error) || !(await this.pruneOldestBackup(slotId))) {
+                    throw error;
+                }
+                console.warn('[SaveSystem] Storage full, dropped oldest backup of', slotId);
+            }
+        }
+    }
+
     // Debounced save (prevents too frequent saves)
     debouncedSave() {
         if (this.saveDebounceTimer) {
@@ -94,10 +527,18 @@ export class SaveSystem {
         }, 1000); // 1 second debounce
     }
 
-    // Load state from LocalStorage
-    load() {
+    // Load state from the active slot
+    async load() {
         try {
-            const saveData = localStorage.getItem(SAVE_KEY);
+            const slotId = this.slotIndex.activeSlot;
+            const storedData = await this.storage.get(this.getSlotKey(slotId));
+
+            // A snapshot from a page that closed mid-write may be newer than the stored save
+            const emergencyData = this.readEmergencySave(slotId, storedData);
+            const saveData = emergencyData || storedData;
+            if (emergencyData) {
+                console.log('[SaveSystem] Using the snapshot written as the page closed');
+            }
 
             if (!saveData) {
                 console.log('[SaveSystem] No save found, starting fresh');
@@ -105,6 +546,7 @@ export class SaveSystem {
             }
 
             const state = JSON.parse(saveData);
+            if (!this.checkLoadable(state)) return false;
 
             // Check version and migrate if needed
             const migratedState = this.migrate(state);
@@ -119,69 +561,90 @@ export class SaveSystem {
         } catch (error) {
             console.error('[SaveSystem] Load failed:', error);
 
-            // Try backup
+            // Try backups
             return this.loadBackup();
         }
     }
 
-    // Load from backup
-    loadBackup() {
-        try {
-            const backupData = localStorage.getItem(BACKUP_KEY);
-
-            if (!backupData) {
-                console.log('[SaveSystem] No backup found');
-                return false;
-            }
-
-            const state = JSON.parse(backupData);
-            const migratedState = this.migrate(state);
-            this.stateManager.loadState(migratedState);
-
-            console.log('[SaveSystem] Loaded from backup');
-            this.stateManager.emit('save:loaded', { state: migratedState, fromBackup: true });
+    // A save from a newer game version, or made with content packs that aren't installed,
+    // can't be played here; refuses the load and returns false
+    checkLoadable(state) {
+        if (compareVersions(state.version || '0.0.0', CONFIG.VERSION) > 0) {
+            console.error('[SaveSystem] Save is from a newer game version:', state.version);
+            this.refuseLoad({ reason: 'newer_version', version: state.version });
+            return false;
+        }
 
-            return true;
-        } catch (error) {
-            console.error('[SaveSystem] Backup load failed:', error);
+        const missing = this.modLoader.getMissingPacks(state.mods);
+        if (missing.length > 0) {
+            console.error('[SaveSystem] Save requires missing content packs:', missing.map(pack => pack.id).join(', '));
+            this.refuseLoad({ reason: 'missing_mods', missing });
             return false;
         }
+
+        return true;
     }
 
-    // Migrate save data from older versions
-    migrate(state) {
-        const currentVersion = CONFIG.VERSION;
-        const saveVersion = state.version || '0.0.0';
+    // Stop a save that can't be played here from loading or being overwritten
+    refuseLoad(loadError) {
+        this.locked = true;
+        this.loadError = loadError;
+        this.stateManager.emit('save:blocked', this.loadError);
+    }
 
-        if (saveVersion === currentVersion) {
-            return state;
-        }
+    // Load the newest readable backup (or a specific one) of the active slot
+    async loadBackup(timestamp = null) {
+        const slotId = this.slotIndex.activeSlot;
+        const candidates = timestamp !== null ? [timestamp] : this.getBackups(slotId);
+
+        for (const backupTime of candidates) {
+            try {
+                const backupData = await this.storage.get(this.getBackupKey(slotId, backupTime));
+                if (!backupData) continue;
 
-        console.log(`[SaveSystem] Migrating save from ${saveVersion} to ${currentVersion}`);
+                const state = JSON.parse(backupData);
+                if (!this.checkLoadable(state)) return false;
 
-        // Version-specific migrations would go here
-        // Example:
-        // if (this.compareVersions(saveVersion, '1.1.0') < 0) {
-        //     state = this.migrateTo1_1_0(state);
-        // }
+                const migratedState = this.migrate(state);
+                this.stateManager.loadState(migratedState);
 
-        // Update version
-        state.version = currentVersion;
+                console.log('[SaveSystem] Loaded from backup', new Date(backupTime).toISOString());
+                this.stateManager.emit('save:loaded', { state: migratedState, fromBackup: true, backupTime });
 
-        return state;
+                return true;
+            } catch (error) {
+                console.error('[SaveSystem] Backup load failed:', error);
+            }
+        }
+
+        console.log('[SaveSystem] No backup found');
+        return false;
     }
 
-    // Compare version strings
-    compareVersions(a, b) {
-        const partsA = a.split('.').map(Number);
-        const partsB = b.split('.').map(Number);
+    // Migrate save data from older versions (throws if a step fails validation)
+    migrate(state) {
+        const result = runMigrations(state);
+
+        if (!result.success) {
+            throw new Error(`Save migration failed (${result.reason} at ${result.version}): ${result.errors.join('; ')}`);
+        }
 
-        for (let i = 0; i < 3; i++) {
-            if (partsA[i] > partsB[i]) return 1;
-            if (partsA[i] < partsB[i]) return -1;
+        if (result.steps.length > 0) {
+            console.log(`[SaveSystem] Migrated save from ${result.fromVersion} to ${result.toVersion}`);
         }
 
-        return 0;
+        return result.state;
+    }
+
+    // Dry run: report what migrating a save would change without loading it
+    previewMigration(saveData) {
+        try {
+            const state = typeof saveData === 'string' ? JSON.parse(saveData) : saveData;
+            const { state: migrated, ...report } = runMigrations(state);
+            return report;
+        } catch (error) {
+            return { success: false, reason: 'parse_error', errors: [error.message], steps: [] };
+        }
     }
 
     // Start auto-save interval
@@ -204,11 +667,11 @@ export class SaveSystem {
         }
     }
 
-    // Delete save data
-    deleteSave() {
+    // Delete the active slot's save data and backups
+    async deleteSave() {
         try {
-            localStorage.removeItem(SAVE_KEY);
-            localStorage.removeItem(BACKUP_KEY);
+            await this.clearSlotData(this.slotIndex.activeSlot);
+            await this.saveSlotIndex();
             console.log('[SaveSystem] Save deleted');
             return true;
         } catch (error) {
@@ -218,63 +681,65 @@ export class SaveSystem {
     }
 
     // Reset game (delete save and reset state)
-    resetGame() {
-        this.deleteSave();
+    async resetGame() {
+        await this.deleteSave();
         this.stateManager.reset();
         this.stateManager.emit('game:reset', {});
+
+        // Write the fresh run now so prestige progress is kept across the reload
+        await this.save();
     }
 
-    // Export save as JSON string (for manual backup)
-    exportSave() {
+    // Export save as a compact, checksummed string (for manual backup and transfer)
+    async exportSave() {
         const state = this.stateManager.getSerializableState();
-        return JSON.stringify(state, null, 2);
+        state.mods = this.modLoader.getActivePacks();
+        return encodeSave(state);
     }
 
-    // Import save from JSON string
-    importSave(jsonString) {
-        try {
-            const state = JSON.parse(jsonString);
+    // Import save from an export string or legacy JSON.
+    // Returns { success: true } or { success: false, reason, errors }
+    async importSave(text) {
+        const decoded = await decodeSave(text);
+        if (!decoded.success) {
+            console.error('[SaveSystem] Import rejected:', decoded.reason, decoded.errors || '');
+            return decoded;
+        }
 
-            // Basic validation
-            if (!state.version || !state.resources) {
-                throw new Error('Invalid save format');
-            }
+        const missing = this.modLoader.getMissingPacks(decoded.state.mods);
+        if (missing.length > 0) {
+            console.error('[SaveSystem] Import needs missing content packs:', missing.map(pack => pack.id));
+            return { success: false, reason: 'missing_mods', missing };
+        }
 
-            const migratedState = this.migrate(state);
-            this.stateManager.loadState(migratedState);
-            this.save();
+        const result = runMigrations(decoded.state);
+        if (!result.success) {
+            console.error('[SaveSystem] Import migration failed:', result.reason, result.errors);
+            const reason = result.reason === 'newer_version' ? 'newer_version' : 'invalid_save';
+            return { success: false, reason, errors: result.errors };
+        }
+
+        try {
+            this.stateManager.loadState(result.state);
+            await this.save();
 
             console.log('[SaveSystem] Save imported');
-            return true;
+            return { success: true, legacy: decoded.legacy };
         } catch (error) {
             console.error('[SaveSystem] Import failed:', error);
-            return false;
+            return { success: false, reason: 'load_failed' };
         }
     }
 
     // Check if save exists
     hasSave() {
-        return localStorage.getItem(SAVE_KEY) !== null;
+        return this.slotIndex.slots[this.slotIndex.activeSlot]?.header !== null;
     }
 
     // Get last save time
     getLastSaveTime() {
         return this.lastSaveTime;
     }
-
-    // Calculate offline time since last save
-    getOfflineTime() {
-        const state = this.stateManager.getState();
-        if (!state.lastSaveAt) return 0;
-
-        const now = Date.now();
-        const offlineMs = now - state.lastSaveAt;
-
-        // Cap at max offline hours
-        const maxOfflineMs = CONFIG.MAX_OFFLINE_HOURS * 60 * 60 * 1000;
-
-        return Math.min(offlineMs, maxOfflineMs);
-    }
 }
 
 // Singleton instance
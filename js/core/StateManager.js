@@ -2,9 +2,14 @@
 
 import { CONFIG } from '../config.js';
 import { TECH_TREE } from '../data/techTree.js';
+import { STRUCTURES } from '../data/structures.js';
+import { getPlacementBody } from '../data/planets.js';
+import { systemClock } from './Clock.js';
 
 export class StateManager {
-    constructor() {
+    constructor({ clock = systemClock } = {}) {
+        this.clock = clock;
+
         // Event subscribers
         this.subscribers = new Map();
 
@@ -17,15 +22,22 @@ export class StateManager {
         return {
             // Meta
             version: CONFIG.VERSION,
-            createdAt: Date.now(),
+            createdAt: this.clock.now(),
             lastSaveAt: null,
+            offlineSettledFor: null, // lastSaveAt whose offline progress was already paid out
             totalPlayTime: 0,
+            mods: [], // Content packs active when saved: [{ id, name, version }]
 
             // Resources
             resources: {
                 energy: CONFIG.STARTING_RESOURCES.energy,
                 materials: CONFIG.STARTING_RESOURCES.materials,
                 research: CONFIG.STARTING_RESOURCES.research,
+                population: 0,
+                exoticMaterials: 0,
+                antimatter: 0,
+                solarMatter: 0,
+                computation: 0,
             },
 
             // Production rates (calculated)
@@ -33,20 +45,48 @@ export class StateManager {
                 energy: CONFIG.BASE_PRODUCTION.energy,
                 materials: CONFIG.BASE_PRODUCTION.materials,
                 research: CONFIG.BASE_PRODUCTION.research,
+                population: 0,
+                exoticMaterials: 0,
+                antimatter: 0,
+                solarMatter: 0,
+                computation: 0,
+            },
+
+            // Resource caps (recalculated from storage structures)
+            capacity: {
+                energy: CONFIG.BASE_ENERGY_CAPACITY,
             },
 
-            // Structures - count of each type
+            // Power grid (recalculated): gross supply, full demand, actual draw after throttling
+            power: {
+                supply: 0,
+                demand: 0,
+                draw: 0,
+                brownout: false,
+                allocation: {}, // priority -> powered fraction
+            },
+
+            // Structures - total count of each type (derived from placements)
             structures: {},
 
+            // Placements - bodyId -> { structureId: count }
+            placements: {},
+
+            // Upgraded placements - bodyId -> { structureId: { tier: count } } for tiers 2+
+            // (the rest of a placement's count is tier 1)
+            structureTiers: {},
+
             // Construction queue
             constructionQueue: [],
+            standingOrders: [], // Repeat/maintain build orders (see ConstructionSystem.addStandingOrder)
 
             // Research
             completedResearch: ['basic_rocketry'], // Start with basic rocketry
-            currentResearch: null, // Legacy - kept for compatibility
-            researchProgress: 0, // Legacy - kept for compatibility
             researchQueue: [], // Array of techIds being researched
             researchProgressMap: {}, // Map of techId -> progress
+            pendingResearch: [], // Ordered techIds waiting for a research slot
+            researchWeights: {}, // techId -> share weight among active research (default 1)
+            researchFocus: null, // techId getting all research production, or null
             maxResearchSlots: 1, // Can be increased via upgrades
             autoResearch: false, // Auto-queue next available research
 
@@ -75,6 +115,10 @@ export class StateManager {
                 autoSave: true,
                 tutorialCompleted: false,
                 tutorialStep: 0,
+                autoResearchStrategy: 'cheapest', // See researchStrategies.js
+                researchPriority: [], // techIds for the priority-list strategy, highest first
+                buildLaneMode: CONFIG.CONSTRUCTION.DEFAULT_LANE_MODE, // 'split' or 'pooled'
+                buildCostMode: CONFIG.CONSTRUCTION.DEFAULT_COST_MODE, // 'upfront' or 'progressive'
             },
 
             // UI State
@@ -92,6 +136,14 @@ export class StateManager {
                 victoryAchieved: false,
                 sandboxMode: false,
             },
+
+            // Stellar Ascension - survives resets
+            prestige: {
+                currency: 0, // Unspent stardust
+                totalEarned: 0,
+                ascensions: 0,
+                upgrades: {}, // upgradeId -> level
+            },
         };
     }
 
@@ -182,8 +234,16 @@ export class StateManager {
     // Resource operations
     addResource(type, amount) {
         const current = this.state.resources[type] || 0;
-        this.state.resources[type] = current + amount;
-        this.emit('resource:change', { type, amount, total: this.state.resources[type] });
+        let total = Math.max(0, current + amount);
+
+        // Capped resources can't be filled past capacity (an existing surplus is kept)
+        const cap = this.state.capacity?.[type];
+        if (cap !== undefined && amount > 0) {
+            total = Math.min(total, Math.max(current, cap));
+        }
+
+        this.state.resources[type] = total;
+        this.emit('resource:change', { type, amount: total - current, total });
     }
 
     spendResource(type, amount) {
@@ -202,7 +262,15 @@ export class StateManager {
     }
 
     // Structure operations
-    addStructure(structureId, count = 1) {
+    addStructure(structureId, count = 1, bodyId = null) {
+        const targetBody = bodyId || getPlacementBody(STRUCTURES[structureId]?.placement);
+
+        if (!this.state.placements[targetBody]) {
+            this.state.placements[targetBody] = {};
+        }
+        const atBody = this.state.placements[targetBody];
+        atBody[structureId] = (atBody[structureId] || 0) + count;
+
         const current = this.state.structures[structureId] || 0;
         this.state.structures[structureId] = current + count;
         this.state.stats.totalStructuresBuilt += count;
@@ -212,24 +280,131 @@ export class StateManager {
             this.state.stats.dysonSatellites = this.state.structures[structureId];
         }
 
-        this.emit('structure:built', { structureId, count, total: this.state.structures[structureId] });
+        this.emit('structure:built', {
+            structureId,
+            count,
+            bodyId: targetBody,
+            total: this.state.structures[structureId],
+            bodyTotal: atBody[structureId],
+        });
+    }
+
+    // Remove built structures from a body; returns how many were removed
+    removeStructure(structureId, count = 1, bodyId) {
+        const atBody = this.state.placements[bodyId];
+        const removed = Math.min(count, atBody?.[structureId] || 0);
+        if (removed <= 0) return 0;
+
+        atBody[structureId] -= removed;
+        if (atBody[structureId] === 0) {
+            delete atBody[structureId];
+        }
+
+        this.state.structures[structureId] -= removed;
+        if (this.state.structures[structureId] === 0) {
+            delete this.state.structures[structureId];
+        }
+
+        // Tier 1 instances go first; upgraded ones only once those run out
+        const tiers = this.state.structureTiers[bodyId]?.[structureId];
+        if (tiers) {
+            let excess = Object.values(tiers).reduce((sum, n) => sum + n, 0) - (atBody[structureId] || 0);
+            for (const tier of Object.keys(tiers).sort((a, b) => a - b)) {
+                if (excess <= 0) break;
+                const taken = Math.min(excess, tiers[tier]);
+                tiers[tier] -= taken;
+                excess -= taken;
+                if (tiers[tier] === 0) delete tiers[tier];
+            }
+            if (Object.keys(tiers).length === 0) {
+                delete this.state.structureTiers[bodyId][structureId];
+            }
+        }
+
+        if (structureId === 'dyson_satellite') {
+            this.state.stats.dysonSatellites = this.state.structures[structureId] || 0;
+        }
+
+        this.emit('structure:removed', {
+            structureId,
+            count: removed,
+            bodyId,
+            total: this.state.structures[structureId] || 0,
+            bodyTotal: atBody[structureId] || 0,
+        });
+
+        return removed;
+    }
+
+    // Counts of a structure on a body by tier: { 1: n, 2: m, ... } (empty tiers omitted)
+    getTierCountsAt(bodyId, structureId) {
+        const tiers = this.state.structureTiers[bodyId]?.[structureId] || {};
+        const upgraded = Object.values(tiers).reduce((sum, n) => sum + n, 0);
+        const counts = {};
+
+        const base = this.getStructureCountAt(bodyId, structureId) - upgraded;
+        if (base > 0) counts[1] = base;
+        for (const [tier, count] of Object.entries(tiers)) {
+            if (count > 0) counts[tier] = count;
+        }
+
+        return counts;
+    }
+
+    // Move one placed structure from one tier to another
+    upgradeStructure(structureId, bodyId, fromTier, toTier) {
+        if ((this.getTierCountsAt(bodyId, structureId)[fromTier] || 0) < 1) return false;
+
+        if (!this.state.structureTiers[bodyId]) {
+            this.state.structureTiers[bodyId] = {};
+        }
+        const tiers = this.state.structureTiers[bodyId][structureId] ||
+            (this.state.structureTiers[bodyId][structureId] = {});
+
+        if (fromTier > 1) {
+            tiers[fromTier] -= 1;
+            if (tiers[fromTier] === 0) delete tiers[fromTier];
+        }
+        tiers[toTier] = (tiers[toTier] || 0) + 1;
+
+        this.emit('structure:upgraded', { structureId, bodyId, fromTier, tier: toTier });
+        return true;
     }
 
     getStructureCount(structureId) {
         return this.state.structures[structureId] || 0;
     }
 
+    getStructureCountAt(bodyId, structureId) {
+        return this.state.placements[bodyId]?.[structureId] || 0;
+    }
+
+    // Get structure counts placed on a body
+    getStructuresAt(bodyId) {
+        return this.state.placements[bodyId] || {};
+    }
+
     getTotalStructures() {
         return Object.values(this.state.structures).reduce((sum, count) => sum + count, 0);
     }
 
+    // Recompute total structure counts from placements
+    rebuildStructureTotals() {
+        const totals = {};
+        for (const atBody of Object.values(this.state.placements)) {
+            for (const [structureId, count] of Object.entries(atBody)) {
+                totals[structureId] = (totals[structureId] || 0) + count;
+            }
+        }
+        this.state.structures = totals;
+        this.state.stats.dysonSatellites = totals.dyson_satellite || 0;
+    }
+
     // Research operations
     completeResearch(techId) {
         if (this.state.completedResearch.includes(techId)) return;
 
         this.state.completedResearch.push(techId);
-        this.state.currentResearch = null;
-        this.state.researchProgress = 0;
         this.state.stats.totalResearchCompleted++;
 
         this.emit('research:complete', { techId });
@@ -311,6 +486,9 @@ export class StateManager {
 
         this.state = this.deepMerge(defaultState, savedState);
 
+        // Placements are authoritative; totals are derived from them
+        this.rebuildStructureTotals();
+
         // Ensure version is updated
         this.state.version = CONFIG.VERSION;
 
@@ -334,7 +512,10 @@ export class StateManager {
 
     // Reset to default state
     reset() {
+        // Prestige progress outlives resets
+        const prestige = this.state.prestige;
         this.state = this.getDefaultState();
+        this.state.prestige = prestige;
         this.emit('state:reset', this.state);
     }
 
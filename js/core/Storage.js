@@ -0,0 +1,145 @@
+// Storage - Pluggable async key/value adapters (IndexedDB, localStorage, in-memory)
+//
+// Every adapter exposes: name, get(key) -> string|null, set(key, value), remove(key), all async.
+
+const DB_NAME = 'solarK2Bootstrapper';
+const STORE_NAME = 'saves';
+
+// Check whether an error means the storage quota is exhausted
+export function isQuotaError(error) {
+    if (!error) return false;
+    return error.name === 'QuotaExceededError' ||
+        error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+        error.code === 22 ||
+        error.code === 1014;
+}
+
+// In-memory storage (tests, headless runs, and browsers with storage disabled)
+export class MemoryStorageAdapter {
+    constructor() {
+        this.name = 'memory';
+        this.items = new Map();
+    }
+
+    async get(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    async set(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    async remove(key) {
+        this.items.delete(key);
+    }
+}
+
+// Browser localStorage (synchronous underneath, wrapped in the async interface)
+export class LocalStorageAdapter {
+    constructor(storage = globalThis.localStorage) {
+        this.name = 'localStorage';
+        this.storage = storage;
+    }
+
+    // Check that localStorage exists and accepts writes
+    static isAvailable() {
+        try {
+            const testKey = '__solarK2_storage_test__';
+            globalThis.localStorage.setItem(testKey, '1');
+            globalThis.localStorage.removeItem(testKey);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    async get(key) {
+        return this.storage.getItem(key);
+    }
+
+    async set(key, value) {
+        this.storage.setItem(key, String(value));
+    }
+
+    async remove(key) {
+        this.storage.removeItem(key);
+    }
+}
+
+// IndexedDB object store (asynchronous, much larger quota)
+export class IndexedDBStorageAdapter {
+    constructor(dbName = DB_NAME, storeName = STORE_NAME) {
+        this.name = 'indexedDB';
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.db = null;
+    }
+
+    // Open (and create if needed) the database
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, 1);
+
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(this.storeName);
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('IndexedDB open blocked'));
+        });
+    }
+
+    // Run one request in its own transaction; resolves once the transaction commits
+    async run(mode, makeRequest) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = makeRequest(transaction.objectStore(this.storeName));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error || request.error);
+            transaction.onabort = () => reject(transaction.error || request.error);
+        });
+    }
+
+    async get(key) {
+        const value = await this.run('readonly', store => store.get(key));
+        return value ?? null;
+    }
+
+    async set(key, value) {
+        await this.run('readwrite', store => store.put(String(value), key));
+    }
+
+    async remove(key) {
+        await this.run('readwrite', store => store.delete(key));
+    }
+}
+
+// Pick the best available adapter: IndexedDB, then localStorage, then memory
+export async function createStorageAdapter() {
+    if (typeof indexedDB !== 'undefined') {
+        try {
+            const adapter = new IndexedDBStorageAdapter();
+            await adapter.open();
+            return adapter;
+        } catch (error) {
+            console.warn('[Storage] IndexedDB unavailable, falling back to localStorage:', error);
+        }
+    }
+
+    if (LocalStorageAdapter.isAvailable()) {
+        return new LocalStorageAdapter();
+    }
+
+    console.warn('[Storage] No persistent storage available; progress will not be kept');
+    return new MemoryStorageAdapter();
+}
+
+export default createStorageAdapter;
@@ -1,16 +1,18 @@
-// Time Manager - Delta time, game time, and offline progress calculation
+// Time Manager - Delta time, game time, and time scale
 
 import { CONFIG } from '../config.js';
 import { getStateManager } from './StateManager.js';
+import { systemClock } from './Clock.js';
 
 export class TimeManager {
-    constructor() {
-        this.stateManager = getStateManager();
+    constructor({ stateManager = getStateManager(), clock = systemClock } = {}) {
+        this.stateManager = stateManager;
+        this.clock = clock;
 
         // Time tracking
         this.gameTime = 0; // Total seconds of game time
-        this.sessionStartTime = Date.now();
-        this.lastUpdateTime = Date.now();
+        this.sessionStartTime = this.clock.now();
+        this.lastUpdateTime = this.clock.now();
 
         // Time scale for debugging/sandbox
         this.timeScale = 1.0;
@@ -19,69 +21,16 @@ export class TimeManager {
         this.isPaused = false;
     }
 
-    // Initialize and calculate offline progress
+    // Initialize from saved play time (offline progress is handled by IdleAccumulator)
     init() {
         const state = this.stateManager.getState();
 
         // Restore total play time
         this.gameTime = state.totalPlayTime || 0;
 
-        // Calculate offline progress if there was a previous session
-        if (state.lastSaveAt) {
-            this.calculateOfflineProgress();
-        }
-
         console.log('[TimeManager] Initialized');
     }
 
-    // Calculate resources gained while offline
-    calculateOfflineProgress() {
-        const state = this.stateManager.getState();
-        const now = Date.now();
-
-        if (!state.lastSaveAt) return null;
-
-        // Calculate offline duration in seconds
-        let offlineSeconds = (now - state.lastSaveAt) / 1000;
-
-        // Cap at maximum offline time
-        const maxOfflineSeconds = CONFIG.MAX_OFFLINE_HOURS * 60 * 60;
-        offlineSeconds = Math.min(offlineSeconds, maxOfflineSeconds);
-
-        // No significant offline time
-        if (offlineSeconds < 60) return null;
-
-        // Apply offline efficiency
-        const effectiveSeconds = offlineSeconds * CONFIG.OFFLINE_EFFICIENCY;
-
-        // Calculate resources gained
-        const production = state.production;
-        const gains = {
-            energy: production.energy * effectiveSeconds,
-            materials: production.materials * effectiveSeconds,
-            research: production.research * effectiveSeconds,
-        };
-
-        // Apply gains
-        for (const [resource, amount] of Object.entries(gains)) {
-            if (amount > 0) {
-                this.stateManager.addResource(resource, amount);
-            }
-        }
-
-        // Emit offline progress event for UI notification
-        const result = {
-            offlineSeconds,
-            effectiveSeconds,
-            gains,
-        };
-
-        this.stateManager.emit('offline:progress', result);
-        console.log('[TimeManager] Offline progress calculated:', result);
-
-        return result;
-    }
-
     // Update called every frame
     update(deltaTime) {
         if (this.isPaused) return 0;
@@ -105,7 +54,7 @@ export class TimeManager {
 
     // Get session duration in seconds
     getSessionDuration() {
-        return (Date.now() - this.sessionStartTime) / 1000;
+        return (this.clock.now() - this.sessionStartTime) / 1000;
     }
 
     // Set time scale (for sandbox/debug mode)
@@ -0,0 +1,291 @@
+// Content Validation - Cross-checks the data files that reference each other by string id
+//
+// validateContent() returns a list of issues: { severity: 'error' | 'warning', check, message }.
+// Checks:
+//   references  - ids that point at nothing (requiresTech, prerequisites, unlocks, placements, costs,
+//                 upkeep, tier production, conditions)
+//   cycles      - prerequisite loops
+//   reachability- techs that can never be researched
+//   unlocks     - structures no tech unlocks (or unlocked by a different tech than they require)
+//   costs       - resources nothing produces
+//   milestones  - conditions that can never be met
+//   effects     - unknown effect keys (see effects.js)
+
+import { CONFIG } from '../config.js';
+import { TECH_TREE } from './techTree.js';
+import { STRUCTURES } from './structures.js';
+import { MILESTONES } from './milestones.js';
+import { RESOURCES } from './resources.js';
+import { PLACEMENT_BODIES, getAllCelestialBodies } from './planets.js';
+import { validateEffects, STRUCTURE_EFFECTS } from './effects.js';
+
+// Non-structure entries allowed in tech.unlocks
+export const SPECIAL_UNLOCKS = ['research_slot', 'sandbox_mode'];
+
+const STRUCTURE_UNLOCK_PREFIX = 'structures:';
+
+// Find every prerequisite cycle; each cycle is returned as a list of tech ids ending where it started
+export function findPrerequisiteCycles(techTree) {
+    const cycles = [];
+    const state = {}; // techId -> 'visiting' | 'done'
+    const path = [];
+
+    const visit = (techId) => {
+        if (state[techId] === 'done') return;
+        if (state[techId] === 'visiting') {
+            cycles.push([...path.slice(path.indexOf(techId)), techId]);
+            return;
+        }
+
+        state[techId] = 'visiting';
+        path.push(techId);
+        for (const prereq of techTree[techId]?.prerequisites || []) {
+            if (techTree[prereq]) visit(prereq);
+        }
+        path.pop();
+        state[techId] = 'done';
+    };
+
+    Object.keys(techTree).forEach(visit);
+    return cycles;
+}
+
+// Techs that can eventually be researched, starting from those with no prerequisites
+export function findReachableTechs(techTree) {
+    const reachable = new Set();
+    let changed = true;
+
+    while (changed) {
+        changed = false;
+        for (const tech of Object.values(techTree)) {
+            if (reachable.has(tech.id)) continue;
+            const prereqs = tech.prerequisites || [];
+            if (tech.unlocked || prereqs.every(prereq => reachable.has(prereq))) {
+                reachable.add(tech.id);
+                changed = true;
+            }
+        }
+    }
+
+    return reachable;
+}
+
+// Run every content check; returns a list of issues
+export function validateContent({
+    techTree = TECH_TREE,
+    structures = STRUCTURES,
+    milestones = MILESTONES,
+    bodies = getAllCelestialBodies(),
+    placementBodies = PLACEMENT_BODIES,
+    eras = CONFIG.ERAS,
+} = {}) {
+    const issues = [];
+    const error = (check, message) => issues.push({ severity: 'error', check, message });
+    const warning = (check, message) => issues.push({ severity: 'warning', check, message });
+
+    const bodyIds = new Set(bodies.map(body => body.id));
+
+    // ----- References -----
+    for (const tech of Object.values(techTree)) {
+        for (const prereq of tech.prerequisites || []) {
+            if (!techTree[prereq]) {
+                error('references', `Tech "${tech.id}" has unknown prerequisite "${prereq}"`);
+            }
+        }
+
+        for (const unlock of tech.unlocks || []) {
+            if (unlock.startsWith(STRUCTURE_UNLOCK_PREFIX)) {
+                const structureId = unlock.slice(STRUCTURE_UNLOCK_PREFIX.length);
+                if (!structures[structureId]) {
+                    error('references', `Tech "${tech.id}" unlocks unknown structure "${structureId}"`);
+                }
+            } else if (!SPECIAL_UNLOCKS.includes(unlock)) {
+                error('references', `Tech "${tech.id}" has unknown unlock "${unlock}"`);
+            }
+        }
+
+        for (const resource of Object.keys(tech.cost || {})) {
+            if (!RESOURCES[resource]) {
+                error('references', `Tech "${tech.id}" costs unknown resource "${resource}"`);
+            }
+        }
+    }
+
+    for (const structure of Object.values(structures)) {
+        if (!techTree[structure.requiresTech]) {
+            error('references', `Structure "${structure.id}" requires unknown tech "${structure.requiresTech}"`);
+        }
+
+        for (const resource of Object.keys(structure.cost || {})) {
+            if (!RESOURCES[resource]) {
+                error('references', `Structure "${structure.id}" costs unknown resource "${resource}"`);
+            }
+        }
+
+        for (const resource of Object.keys(structure.upkeep || {})) {
+            if (!RESOURCES[resource]) {
+                error('references', `Structure "${structure.id}" has upkeep in unknown resource "${resource}"`);
+            }
+        }
+
+        for (const [index, tier] of (structure.tiers || []).entries()) {
+            const label = `Structure "${structure.id}" tier ${index + 2}`;
+            if (!techTree[tier.requiresTech]) {
+                error('references', `${label} requires unknown tech "${tier.requiresTech}"`);
+            }
+            for (const resource of Object.keys(tier.cost || {})) {
+                if (!RESOURCES[resource]) {
+                    error('references', `${label} costs unknown resource "${resource}"`);
+                }
+            }
+            // Base production keys are checked by validateEffects
+            for (const key of Object.keys(tier.production || {})) {
+                if (!RESOURCES[key] && !STRUCTURE_EFFECTS[key]) {
+                    error('references', `${label} has unknown production key "${key}"`);
+                }
+            }
+            for (const resource of Object.keys(tier.upkeep || {})) {
+                if (!RESOURCES[resource]) {
+                    error('references', `${label} has upkeep in unknown resource "${resource}"`);
+                }
+            }
+        }
+
+        const placement = structure.placement;
+        if (!placementBodies[placement]) {
+            error('references', `Structure "${structure.id}" has unknown placement "${placement}"`);
+        } else if (!bodies.some(body => body.sites?.includes(placement))) {
+            error('references', `Structure "${structure.id}" placement "${placement}" has no body with that site`);
+        }
+    }
+
+    for (const [placement, bodyId] of Object.entries(placementBodies)) {
+        if (!bodyIds.has(bodyId)) {
+            error('references', `Placement "${placement}" defaults to unknown body "${bodyId}"`);
+        }
+    }
+
+    for (const milestone of Object.values(milestones)) {
+        const structureId = milestone.condition?.structureId;
+        if (structureId && !structures[structureId]) {
+            error('references', `Milestone "${milestone.id}" counts unknown structure "${structureId}"`);
+        }
+    }
+
+    // ----- Prerequisite cycles -----
+    for (const cycle of findPrerequisiteCycles(techTree)) {
+        error('cycles', `Prerequisite cycle: ${cycle.join(' -> ')}`);
+    }
+
+    // ----- Reachability -----
+    const reachable = findReachableTechs(techTree);
+    for (const techId of Object.keys(techTree)) {
+        if (!reachable.has(techId)) {
+            error('reachability', `Tech "${techId}" can never be researched`);
+        }
+    }
+
+    // ----- Structure unlocks -----
+    const unlockedBy = {}; // structureId -> [techId]
+    for (const tech of Object.values(techTree)) {
+        for (const unlock of tech.unlocks || []) {
+            if (!unlock.startsWith(STRUCTURE_UNLOCK_PREFIX)) continue;
+            const structureId = unlock.slice(STRUCTURE_UNLOCK_PREFIX.length);
+            (unlockedBy[structureId] = unlockedBy[structureId] || []).push(tech.id);
+        }
+    }
+
+    for (const structure of Object.values(structures)) {
+        const techs = unlockedBy[structure.id] || [];
+        if (techs.length === 0) {
+            error('unlocks', `Structure "${structure.id}" is not unlocked by any tech`);
+        } else if (!techs.includes(structure.requiresTech)) {
+            warning('unlocks', `Structure "${structure.id}" requires "${structure.requiresTech}" but is unlocked by ${techs.map(id => `"${id}"`).join(', ')}`);
+        }
+    }
+
+    // Structures that can ever be built
+    const buildable = Object.values(structures).filter(structure => reachable.has(structure.requiresTech));
+
+    // ----- Costs -----
+    const produced = new Set(Object.keys(CONFIG.BASE_PRODUCTION));
+    for (const structure of buildable) {
+        Object.keys(structure.production || {}).forEach(key => produced.add(key));
+    }
+
+    const checkCost = (kind, id, cost = {}) => {
+        for (const resource of Object.keys(cost)) {
+            if (RESOURCES[resource] && !produced.has(resource)) {
+                error('costs', `${kind} "${id}" costs "${resource}", which nothing produces`);
+            }
+        }
+    };
+    Object.values(techTree).forEach(tech => checkCost('Tech', tech.id, tech.cost));
+    Object.values(structures).forEach(structure => {
+        checkCost('Structure', structure.id, structure.cost);
+        (structure.tiers || []).forEach((tier, index) => checkCost('Structure tier', `${structure.id}:${index + 2}`, tier.cost));
+    });
+
+    // ----- Milestones -----
+    const eraNumbers = Object.keys(eras).map(Number);
+    const maxSolarCapture = 1;
+    const canCaptureSolar = buildable.some(structure => structure.production?.solarCapture);
+    const hasUnlimited = buildable.some(structure => structure.limit === null);
+    const structureCapacity = buildable.reduce((sum, structure) => sum + (structure.limit || 0), 0);
+
+    for (const milestone of Object.values(milestones)) {
+        const condition = milestone.condition || {};
+        const never = (reason) => error('milestones', `Milestone "${milestone.id}" can never be met: ${reason}`);
+
+        switch (condition.type) {
+            case 'structure_count': {
+                const structure = structures[condition.structureId];
+                if (!structure) break; // Reported under references
+                if (!reachable.has(structure.requiresTech)) {
+                    never(`"${structure.id}" can never be built`);
+                } else if (structure.limit !== null && condition.count > structure.limit) {
+                    never(`needs ${condition.count} "${structure.id}" but the limit is ${structure.limit}`);
+                }
+                break;
+            }
+            case 'total_structures':
+                if (!hasUnlimited && condition.count > structureCapacity) {
+                    never(`needs ${condition.count} structures but limits allow ${structureCapacity}`);
+                }
+                break;
+            case 'solar_capture':
+                if (condition.percent > maxSolarCapture) {
+                    never(`solar capture cannot exceed ${maxSolarCapture * 100}%`);
+                } else if (condition.percent > 0 && !canCaptureSolar) {
+                    never('no buildable structure captures solar output');
+                }
+                break;
+            case 'research_count':
+                if (condition.count > reachable.size) {
+                    never(`needs ${condition.count} techs but only ${reachable.size} can be researched`);
+                }
+                break;
+            case 'all_research':
+                if (reachable.size < Object.keys(techTree).length) {
+                    never('some techs can never be researched');
+                }
+                break;
+            case 'era':
+                if (!eraNumbers.includes(condition.era)) {
+                    never(`era ${condition.era} does not exist`);
+                }
+                break;
+            default:
+                never(`unknown condition type "${condition.type}"`);
+        }
+    }
+
+    // ----- Effect keys -----
+    for (const message of validateEffects({ techTree, structures, milestones })) {
+        error('effects', message);
+    }
+
+    return issues;
+}
+
+export default validateContent;
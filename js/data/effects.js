@@ -0,0 +1,181 @@
+// Effect Registry - Every effect key the data files may use, and how each one applies
+//
+// Tech effect handler types:
+//   multiplier - multiplies modifier targets (which start at 1)
+//   additive   - adds to modifier targets (which start at 0)
+//   unlock     - names a capability the tech grants (content itself is gated by tech.unlocks)
+//   flag       - a story marker (milestones, victory)
+// Unlock and flag keys are descriptive only: nothing applies them, so their value must be true.
+//
+// validateEffects() checks TECH_TREE, STRUCTURES and MILESTONES against these tables so
+// that a typo'd or unimplemented key fails at startup instead of being silently ignored.
+
+import { TECH_TREE } from './techTree.js';
+import { STRUCTURES } from './structures.js';
+import { MILESTONES } from './milestones.js';
+import { RESOURCE_IDS } from './resources.js';
+
+export const EFFECT_TYPES = ['multiplier', 'additive', 'unlock', 'flag'];
+
+// Starting value of every modifier target
+export const MODIFIER_DEFAULTS = {
+    energy: 1,
+    materials: 1,
+    research: 1,
+    population: 1,
+    buildSpeed: 1,
+    dysonEfficiency: 1,
+    cargo: 1,
+    energyStorage: 0,
+    researchSlots: 0,
+};
+
+// Effects a tech may list in tech.effects
+export const TECH_EFFECTS = {
+    // Production multipliers
+    energyGeneration: { type: 'multiplier', targets: ['energy'] },
+    energyProduction: { type: 'multiplier', targets: ['energy'] },
+    solarEfficiency: { type: 'multiplier', targets: ['energy'] },
+    materialProduction: { type: 'multiplier', targets: ['materials'] },
+    researchEfficiency: { type: 'multiplier', targets: ['research'] },
+    productionMultiplier: { type: 'multiplier', targets: ['energy', 'materials', 'research'] },
+    habitatSize: { type: 'multiplier', targets: ['population'] },
+    dysonEfficiency: { type: 'multiplier', targets: ['dysonEfficiency'] },
+
+    // Construction and logistics
+    buildSpeed: { type: 'multiplier', targets: ['buildSpeed'] },
+    constructionEfficiency: { type: 'multiplier', targets: ['buildSpeed'] },
+    travelSpeed: { type: 'multiplier', targets: ['cargo'] },
+    fuelEfficiency: { type: 'multiplier', targets: ['cargo'] },
+
+    // Flat bonuses
+    energyStorage: { type: 'additive', targets: ['energyStorage'] },
+    researchSlots: { type: 'additive', targets: ['researchSlots'] },
+
+    // Capabilities
+    launchCapability: { type: 'unlock' },
+    orbitalConstruction: { type: 'unlock' },
+    habitatCapacity: { type: 'unlock' },
+    population: { type: 'unlock' },
+    autonomousBuilding: { type: 'unlock' },
+    mercuryAccess: { type: 'unlock' },
+    dysonConstruction: { type: 'unlock' },
+    megastructureAccess: { type: 'unlock' },
+    antimatterAccess: { type: 'unlock' },
+    stellarControl: { type: 'unlock' },
+    ultimateComputation: { type: 'unlock' },
+
+    // Markers
+    exponentialGrowth: { type: 'flag' },
+    energyTransfer: { type: 'flag' },
+    victoryCondition: { type: 'flag' },
+    victory: { type: 'flag' },
+};
+
+// Non-resource keys a structure may list in structure.production (resources are always allowed)
+export const STRUCTURE_EFFECTS = {
+    buildSpeedBonus: { description: 'Adds to construction speed' },
+    solarCapture: { description: 'Captures a fraction of solar output (Dyson swarm)' },
+    launchCapacity: { description: 'Adds 2% construction speed per point' },
+    cargoCapacity: { description: 'Multiplies materials production' },
+    autoConstruction: { description: 'Builds structures automatically' },
+    energyEfficiency: { description: 'Multiplies energy delivery' },
+    dysonBonus: { description: 'Multiplies Dyson swarm output' },
+    energyStorage: { description: 'Raises energy storage capacity' },
+};
+
+// Non-resource keys a milestone may list in milestone.reward (resources are always allowed)
+export const MILESTONE_REWARDS = {
+    sandbox_mode: { description: 'Enables sandbox mode' },
+};
+
+// Combine the effects of a set of researched techs into modifiers
+export function collectTechEffects(techIds) {
+    const modifiers = { ...MODIFIER_DEFAULTS };
+    const sources = []; // { techId, effect, type, target, value } for the production breakdown
+
+    for (const techId of techIds) {
+        const effects = TECH_TREE[techId]?.effects;
+        if (!effects) continue;
+
+        for (const [effect, value] of Object.entries(effects)) {
+            const handler = TECH_EFFECTS[effect];
+            if (!handler) continue; // Rejected by validateEffects at startup
+
+            // Only modifiers apply; unlock and flag keys are descriptive
+            switch (handler.type) {
+                case 'multiplier':
+                    for (const target of handler.targets) {
+                        modifiers[target] *= value;
+                        sources.push({ techId, effect, type: handler.type, target, value });
+                    }
+                    break;
+                case 'additive':
+                    for (const target of handler.targets) {
+                        modifiers[target] += value;
+                        sources.push({ techId, effect, type: handler.type, target, value });
+                    }
+                    break;
+            }
+        }
+    }
+
+    return { modifiers, sources };
+}
+
+// Check the registries and every effect key in the data files; returns a list of errors
+export function validateEffects({ techTree = TECH_TREE, structures = STRUCTURES, milestones = MILESTONES } = {}) {
+    const errors = [];
+
+    for (const [effect, handler] of Object.entries(TECH_EFFECTS)) {
+        if (!EFFECT_TYPES.includes(handler.type)) {
+            errors.push(`Tech effect "${effect}" has unknown handler type "${handler.type}"`);
+        }
+        for (const target of handler.targets || []) {
+            if (!(target in MODIFIER_DEFAULTS)) {
+                errors.push(`Tech effect "${effect}" targets unknown modifier "${target}"`);
+            }
+        }
+    }
+
+    for (const tech of Object.values(techTree)) {
+        for (const [effect, value] of Object.entries(tech.effects || {})) {
+            const handler = TECH_EFFECTS[effect];
+            if (!handler) {
+                errors.push(`Tech "${tech.id}" has unknown effect "${effect}"`);
+            } else if ((handler.type === 'multiplier' || handler.type === 'additive') && typeof value !== 'number') {
+                errors.push(`Tech "${tech.id}" effect "${effect}" must be a number`);
+            } else if ((handler.type === 'unlock' || handler.type === 'flag') && value !== true) {
+                errors.push(`Tech "${tech.id}" effect "${effect}" is a ${handler.type} and must be true`);
+            }
+        }
+    }
+
+    for (const structure of Object.values(structures)) {
+        for (const key of Object.keys(structure.production || {})) {
+            if (!RESOURCE_IDS.includes(key) && !STRUCTURE_EFFECTS[key]) {
+                errors.push(`Structure "${structure.id}" has unknown production key "${key}"`);
+            }
+        }
+    }
+
+    for (const milestone of Object.values(milestones)) {
+        for (const key of Object.keys(milestone.reward || {})) {
+            if (!RESOURCE_IDS.includes(key) && !MILESTONE_REWARDS[key]) {
+                errors.push(`Milestone "${milestone.id}" has unknown reward "${key}"`);
+            }
+        }
+    }
+
+    return errors;
+}
+
+// Throw if any data file uses an effect key the game does not implement
+export function assertValidEffects() {
+    const errors = validateEffects();
+    if (errors.length > 0) {
+        throw new Error(`Invalid effect data:\n  ${errors.join('\n  ')}`);
+    }
+}
+
+export default TECH_EFFECTS;
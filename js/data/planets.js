@@ -14,6 +14,8 @@ export const PLANETS = [
         tilt: 0.03,
         features: ['high_solar_flux', 'metal_rich'],
         unlockEra: 1,
+        sites: ['mercury', 'surface', 'orbit'], // Placement types hosted here
+        capacity: 20, // Max structures across all sites
         bonuses: {
             solarEfficiency: 1.5,
             miningYield: 1.2,
@@ -32,6 +34,8 @@ export const PLANETS = [
         tilt: 177.4 * Math.PI / 180, // Nearly upside down
         features: ['thick_atmosphere', 'cloud_cities'],
         unlockEra: 2,
+        sites: ['orbit', 'fleet'],
+        capacity: 15,
         bonuses: {
             habitatCapacity: 1.3,
             atmosphericMining: 1.5,
@@ -50,6 +54,8 @@ export const PLANETS = [
         tilt: 23.4 * Math.PI / 180,
         features: ['home_world', 'high_population', 'research_hub'],
         unlockEra: 1,
+        sites: ['earth', 'surface', 'orbit', 'fleet'],
+        capacity: 60,
         bonuses: {
             researchSpeed: 1.5,
             launchCost: 0.8,
@@ -79,6 +85,8 @@ export const PLANETS = [
         tilt: 25.2 * Math.PI / 180,
         features: ['colonizable', 'iron_rich', 'water_ice'],
         unlockEra: 1,
+        sites: ['surface', 'orbit', 'fleet'],
+        capacity: 30,
         bonuses: {
             colonyGrowth: 1.4,
             ironMining: 1.8,
@@ -115,6 +123,8 @@ export const PLANETS = [
         tilt: 3.1 * Math.PI / 180,
         features: ['gas_giant', 'helium3_rich', 'radiation_belt'],
         unlockEra: 2,
+        sites: ['orbit', 'fleet'],
+        capacity: 25,
         bonuses: {
             helium3Mining: 2.0,
             fuelProduction: 1.5,
@@ -177,6 +187,8 @@ export const PLANETS = [
         tilt: 26.7 * Math.PI / 180,
         features: ['ringed', 'gas_giant', 'moon_system'],
         unlockEra: 3,
+        sites: ['orbit', 'fleet'],
+        capacity: 25,
         bonuses: {
             helium3Mining: 1.8,
             moonColonies: 1.5,
@@ -222,6 +234,8 @@ export const PLANETS = [
         tilt: 97.8 * Math.PI / 180, // Sideways
         features: ['ice_giant', 'exotic_materials'],
         unlockEra: 3,
+        sites: ['orbit'],
+        capacity: 15,
         bonuses: {
             exoticMaterials: 2.0,
         },
@@ -245,6 +259,8 @@ export const PLANETS = [
         tilt: 28.3 * Math.PI / 180,
         features: ['ice_giant', 'rare_isotopes', 'extreme_distance'],
         unlockEra: 4,
+        sites: ['orbit'],
+        capacity: 15,
         bonuses: {
             rareIsotopes: 2.5,
         },
@@ -273,6 +289,8 @@ export const PLANETS = [
         tilt: 119.6 * Math.PI / 180,
         features: ['dwarf_planet', 'icy_surface', 'kuiper_belt_outpost'],
         unlockEra: 4,
+        sites: ['surface'],
+        capacity: 8,
         bonuses: {
             volatiles: 1.6,
             researchSpeed: 1.2,
@@ -282,12 +300,16 @@ export const PLANETS = [
 
 // Asteroid belt data
 export const ASTEROID_BELT = {
+    id: 'asteroid_belt',
+    name: 'Asteroid Belt',
     innerRadius: 125,
     outerRadius: 145,
     density: 200, // Number of visible asteroids
     colors: [0x888888, 0x999999, 0x777777, 0xaaaaaa],
     features: ['mining_rich', 'materials_source'],
     unlockEra: 1,
+    sites: ['asteroid_belt', 'fleet'],
+    capacity: 80,
     bonuses: {
         materialYield: 2.0,
         rareMetals: 1.5,
@@ -296,16 +318,100 @@ export const ASTEROID_BELT = {
 
 // Kuiper belt data
 export const KUIPER_BELT = {
+    id: 'kuiper_belt',
+    name: 'Kuiper Belt',
     innerRadius: 400,
     outerRadius: 500,
     density: 100,
     colors: [0x666688, 0x555577, 0x777799],
     features: ['ice_rich', 'comets'],
     unlockEra: 4,
+    sites: ['asteroid_belt'],
+    capacity: 40,
     bonuses: {
         volatiles: 2.0,
         comets: 1.5,
     },
 };
 
+// Near-solar space (orbits around and the surface of the Sun)
+export const SOLAR_SPACE = {
+    id: 'sun',
+    name: 'The Sun',
+    description: 'Close solar orbit, home of the Dyson swarm.',
+    unlockEra: 1,
+    sites: ['solar_orbit', 'dyson_swarm', 'solar_surface'],
+    capacity: null, // Unlimited
+    bonuses: {},
+};
+
+// Which production keys each body bonus multiplies.
+// Bonuses not listed here (e.g. launchCost) are descriptive only.
+export const BODY_BONUS_EFFECTS = {
+    solarEfficiency: ['energy'],
+    miningYield: ['materials'],
+    materialYield: ['materials'],
+    ironMining: ['materials'],
+    rareMetals: ['materials'],
+    atmosphericMining: ['materials'],
+    helium3Mining: ['energy'],
+    fuelProduction: ['cargoCapacity'],
+    researchSpeed: ['research'],
+    habitatCapacity: ['population'],
+    colonyGrowth: ['population'],
+    moonColonies: ['population'],
+    exoticMaterials: ['exoticMaterials'],
+};
+
+// Preferred body for each placement type when none is chosen
+export const PLACEMENT_BODIES = {
+    earth: 'earth',
+    orbit: 'earth',
+    surface: 'earth',
+    fleet: 'earth',
+    mercury: 'mercury',
+    asteroid_belt: 'asteroid_belt',
+    solar_orbit: 'sun',
+    dyson_swarm: 'sun',
+    solar_surface: 'sun',
+};
+
+// Get every body structures can be placed on
+export function getAllCelestialBodies() {
+    return [SOLAR_SPACE, ...PLANETS, ASTEROID_BELT, KUIPER_BELT];
+}
+
+// Get bodies offering a site for a placement type
+export function getBodiesForPlacement(placement) {
+    return getAllCelestialBodies().filter(body => body.sites?.includes(placement));
+}
+
+// Get a planet, belt or solar space by id
+export function getCelestialBody(bodyId) {
+    if (bodyId === SOLAR_SPACE.id) return SOLAR_SPACE;
+    if (bodyId === ASTEROID_BELT.id) return ASTEROID_BELT;
+    if (bodyId === KUIPER_BELT.id) return KUIPER_BELT;
+    return PLANETS.find(p => p.id === bodyId) || null;
+}
+
+// Get the body a placement type is attributed to
+export function getPlacementBody(placement) {
+    return PLACEMENT_BODIES[placement] || 'earth';
+}
+
+// Get the combined bonus multiplier a body applies to a production key
+export function getBodyBonusMultiplier(bodyId, productionKey) {
+    const bonuses = getCelestialBody(bodyId)?.bonuses;
+    if (!bonuses) return 1;
+
+    let multiplier = 1;
+    for (const [bonus, value] of Object.entries(bonuses)) {
+        if (typeof value !== 'number') continue;
+        if (BODY_BONUS_EFFECTS[bonus]?.includes(productionKey)) {
+            multiplier *= value;
+        }
+    }
+    return multiplier;
+}
+
 export default PLANETS;
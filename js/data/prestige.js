@@ -0,0 +1,112 @@
+// Prestige Data - Stellar Ascension currency and permanent upgrades
+
+import { CONFIG } from '../config.js';
+
+export const PRESTIGE_UPGRADES = {
+    'stellar_endowment': {
+        id: 'stellar_endowment',
+        name: 'Stellar Endowment',
+        description: 'Begin each ascension with extra resources.',
+        icon: '🎁',
+        maxLevel: 10,
+        baseCost: 5,
+        costScaling: 1.6,
+        effects: {
+            startingResources: { energy: 200, materials: 100, research: 50 }, // Per level
+        },
+    },
+    'parallel_minds': {
+        id: 'parallel_minds',
+        name: 'Parallel Minds',
+        description: 'An extra research slot from the very start.',
+        icon: '🧠',
+        maxLevel: 3,
+        baseCost: 25,
+        costScaling: 3,
+        effects: {
+            researchSlots: 1, // Per level
+        },
+    },
+    'swift_assembly': {
+        id: 'swift_assembly',
+        name: 'Swift Assembly',
+        description: 'Permanently faster construction.',
+        icon: '🔧',
+        maxLevel: 10,
+        baseCost: 10,
+        costScaling: 1.8,
+        effects: {
+            buildSpeed: 0.15, // +15% per level
+        },
+    },
+    'solar_legacy': {
+        id: 'solar_legacy',
+        name: 'Solar Legacy',
+        description: 'Permanently boost energy, material and research production.',
+        icon: '🌞',
+        maxLevel: 10,
+        baseCost: 15,
+        costScaling: 2,
+        effects: {
+            productionMultiplier: 0.1, // +10% per level
+        },
+    },
+};
+
+// Stardust earned by ascending now: mostly solar capture, with a little for builds and research
+export function calculatePrestigeGain(solarCapture, stats = {}) {
+    const fromCapture = 10 * Math.sqrt(solarCapture * 100);
+    const fromStructures = (stats.totalStructuresBuilt || 0) / 50;
+    const fromResearch = (stats.totalResearchCompleted || 0) / 5;
+
+    return Math.floor(fromCapture + fromStructures + fromResearch);
+}
+
+// Cost of buying the next level of an upgrade (null at max level)
+export function getPrestigeUpgradeCost(upgradeId, currentLevel) {
+    const upgrade = PRESTIGE_UPGRADES[upgradeId];
+    if (!upgrade || currentLevel >= upgrade.maxLevel) return null;
+    return Math.ceil(upgrade.baseCost * Math.pow(upgrade.costScaling, currentLevel));
+}
+
+// Combine purchased upgrade levels into modifiers
+export function getPrestigeModifiers(upgradeLevels = {}) {
+    const modifiers = {
+        startingResources: { energy: 0, materials: 0, research: 0 },
+        researchSlots: 0,
+        buildSpeed: 1,
+        production: 1,
+    };
+
+    for (const [upgradeId, level] of Object.entries(upgradeLevels)) {
+        const effects = PRESTIGE_UPGRADES[upgradeId]?.effects;
+        if (!effects || !level) continue;
+
+        if (effects.startingResources) {
+            for (const [resource, amount] of Object.entries(effects.startingResources)) {
+                modifiers.startingResources[resource] += amount * level;
+            }
+        }
+
+        if (effects.researchSlots) {
+            modifiers.researchSlots += effects.researchSlots * level;
+        }
+
+        if (effects.buildSpeed) {
+            modifiers.buildSpeed += effects.buildSpeed * level;
+        }
+
+        if (effects.productionMultiplier) {
+            modifiers.production += effects.productionMultiplier * level;
+        }
+    }
+
+    return modifiers;
+}
+
+// Check whether a run has progressed far enough to ascend
+export function canAscend(currentEra, victoryAchieved) {
+    return victoryAchieved || currentEra >= CONFIG.PRESTIGE_MIN_ERA;
+}
+
+export default PRESTIGE_UPGRADES;
@@ -0,0 +1,143 @@
+// Research Strategies - How auto-research picks the next tech
+//
+// Each strategy's choose(candidates, context) returns { tech, rationale } or null, where
+// candidates are the techs that could start right now and context is:
+//   { completedResearch, currentEra, energySupply, priorityList }
+// The rationale is shown to the player when auto-research starts the tech.
+
+import { formatNumber } from '../config.js';
+import { TECH_TREE, getPrerequisitePath } from './techTree.js';
+import { STRUCTURES } from './structures.js';
+import { TECH_EFFECTS } from './effects.js';
+
+export const DEFAULT_RESEARCH_STRATEGY = 'cheapest';
+
+// Research points still needed to reach a tech, prerequisites included
+function getPathCost(path) {
+    return path.reduce((sum, techId) => sum + TECH_TREE[techId].cost.research, 0);
+}
+
+// Cheapest candidate by research points
+function pickCheapest(candidates) {
+    return candidates.reduce((best, tech) => (!best || tech.cost.research < best.cost.research ? tech : best), null);
+}
+
+// First candidate on the way to a target tech (the target itself if it can start)
+function pickOnPath(candidates, targetId, completedResearch) {
+    const path = getPrerequisitePath(targetId, completedResearch);
+    return path.map(techId => candidates.find(tech => tech.id === techId)).find(Boolean) || null;
+}
+
+// Energy per second a tech is expected to add: multipliers scale current generation,
+// unlocked generators count one structure's output
+function getEnergyGain(tech, energySupply) {
+    let gain = 0;
+
+    for (const [effect, value] of Object.entries(tech.effects || {})) {
+        const handler = TECH_EFFECTS[effect];
+        if (handler?.type === 'multiplier' && handler.targets.includes('energy')) {
+            gain += energySupply * (value - 1);
+        }
+    }
+
+    for (const unlock of tech.unlocks || []) {
+        const structure = STRUCTURES[unlock.replace('structures:', '')];
+        gain += structure?.production?.energy || 0;
+    }
+
+    return gain;
+}
+
+export const RESEARCH_STRATEGIES = {
+    cheapest: {
+        id: 'cheapest',
+        name: 'Cheapest First',
+        description: 'Research whatever costs the fewest research points.',
+        choose(candidates) {
+            const tech = pickCheapest(candidates);
+            return tech && { tech, rationale: `cheapest available (${formatNumber(tech.cost.research, 0)} 🔬)` };
+        },
+    },
+    energy: {
+        id: 'energy',
+        name: 'Maximize Energy',
+        description: 'Research the tech expected to add the most energy per second.',
+        choose(candidates, { energySupply = 0 }) {
+            let best = null;
+            let bestGain = 0;
+
+            for (const tech of candidates) {
+                const gain = getEnergyGain(tech, energySupply);
+                if (gain > bestGain) {
+                    best = tech;
+                    bestGain = gain;
+                }
+            }
+
+            if (best) {
+                return { tech: best, rationale: `adds about ${formatNumber(bestGain)} ⚡/s` };
+            }
+
+            const tech = pickCheapest(candidates);
+            return tech && { tech, rationale: 'no energy gains available, cheapest instead' };
+        },
+    },
+    next_era: {
+        id: 'next_era',
+        name: 'Next Era',
+        description: 'Take the shortest research path into a tech of the next era.',
+        choose(candidates, { completedResearch, currentEra }) {
+            const targets = Object.values(TECH_TREE)
+                .filter(tech => tech.era > currentEra && !completedResearch.includes(tech.id))
+                .map(tech => {
+                    const path = getPrerequisitePath(tech.id, completedResearch);
+                    return { tech, path, cost: getPathCost(path) };
+                })
+                .filter(target => pickOnPath(candidates, target.tech.id, completedResearch))
+                .sort((a, b) => a.tech.era - b.tech.era || a.cost - b.cost);
+
+            const target = targets[0];
+            if (!target) {
+                const tech = pickCheapest(candidates);
+                return tech && { tech, rationale: 'no later era to reach, cheapest instead' };
+            }
+
+            const tech = pickOnPath(candidates, target.tech.id, completedResearch);
+            return {
+                tech,
+                rationale: tech.id === target.tech.id
+                    ? `reaches Era ${target.tech.era}`
+                    : `on the way to ${target.tech.name} (Era ${target.tech.era}, ${target.path.length} techs)`,
+            };
+        },
+    },
+    priority: {
+        id: 'priority',
+        name: 'Priority List',
+        description: 'Work down your own priority list, researching prerequisites as needed.',
+        choose(candidates, { completedResearch, priorityList = [] }) {
+            for (const [index, targetId] of priorityList.entries()) {
+                if (!TECH_TREE[targetId] || completedResearch.includes(targetId)) continue;
+
+                const tech = pickOnPath(candidates, targetId, completedResearch);
+                if (!tech) continue;
+
+                return {
+                    tech,
+                    rationale: tech.id === targetId
+                        ? `priority #${index + 1}`
+                        : `needed for priority #${index + 1}, ${TECH_TREE[targetId].name}`,
+                };
+            }
+
+            return null;
+        },
+    },
+};
+
+// Strategy by id, falling back to the default
+export function getResearchStrategy(strategyId) {
+    return RESEARCH_STRATEGIES[strategyId] || RESEARCH_STRATEGIES[DEFAULT_RESEARCH_STRATEGY];
+}
+
+export default RESEARCH_STRATEGIES;
@@ -0,0 +1,82 @@
+// Resource Definitions - every stockpiled resource, its display and where it comes from
+
+export const RESOURCES = {
+    // ===== Primary resources (always shown) =====
+    'energy': {
+        id: 'energy',
+        name: 'Energy',
+        description: 'Powers construction and research',
+        icon: '⚡',
+        primary: true,
+    },
+    'materials': {
+        id: 'materials',
+        name: 'Materials',
+        description: 'Used for construction',
+        icon: '🪨',
+        primary: true,
+    },
+    'research': {
+        id: 'research',
+        name: 'Research',
+        description: 'Unlocks new technologies',
+        icon: '🔬',
+        primary: true,
+    },
+
+    // ===== Secondary resources (shown once discovered) =====
+    'population': {
+        id: 'population',
+        name: 'Population',
+        description: 'Colonists who staff large habitats and megaprojects',
+        icon: '👥',
+        primary: false,
+    },
+    'exoticMaterials': {
+        id: 'exoticMaterials',
+        name: 'Exotic Materials',
+        description: 'Forged in stellar furnaces for Dyson and antimatter engineering',
+        icon: '💎',
+        primary: false,
+    },
+    'antimatter': {
+        id: 'antimatter',
+        name: 'Antimatter',
+        description: 'Fuel for star lifting and late-era research',
+        icon: '💥',
+        primary: false,
+    },
+    'solarMatter': {
+        id: 'solarMatter',
+        name: 'Solar Matter',
+        description: 'Plasma lifted from the Sun, the substrate of stellar computers',
+        icon: '🌞',
+        primary: false,
+    },
+    'computation': {
+        id: 'computation',
+        name: 'Computation',
+        description: 'Raw thought from the Matrioshka Brain',
+        icon: '🧠',
+        primary: false,
+    },
+};
+
+// All resource ids, primaries first
+export const RESOURCE_IDS = Object.keys(RESOURCES);
+
+// Secondary resource ids
+export const SECONDARY_RESOURCE_IDS = RESOURCE_IDS.filter(id => !RESOURCES[id].primary);
+
+// Get a resource's icon (falls back to the id for unknown resources)
+export function getResourceIcon(resourceId) {
+    return RESOURCES[resourceId]?.icon || resourceId;
+}
+
+// Check whether a resource has been discovered (stockpiled or produced)
+export function isResourceDiscovered(resourceId, resources = {}, production = {}) {
+    if (RESOURCES[resourceId]?.primary) return true;
+    return (resources[resourceId] || 0) > 0 || (production[resourceId] || 0) > 0;
+}
+
+export default RESOURCES;
@@ -1,4 +1,7 @@
 // Structure Definitions
+//
+// A structure may list upgrade `tiers` (Mk II, Mk III, ...). Each tier replaces the base
+// production (and upkeep, if given) and is reached by upgrading an instance of the tier below.
 
 export const STRUCTURES = {
     // ===== ERA 1: Early Space =====
@@ -17,6 +20,9 @@ export const STRUCTURES = {
         production: {
             launchCapacity: 1,
         },
+        upkeep: {
+            energy: 0.2, // per second
+        },
         limit: 5, // Max can build
         requiresTech: 'basic_rocketry',
         placement: 'earth',
@@ -40,6 +46,41 @@ export const STRUCTURES = {
         requiresTech: 'solar_panels',
         placement: 'orbit',
         visualScale: 1,
+        tiers: [
+            {
+                name: 'Mk II',
+                cost: { energy: 60, materials: 150 },
+                buildTime: 10, // upgrade time from the tier below
+                production: { energy: 12 },
+                requiresTech: 'material_science',
+            },
+            {
+                name: 'Mk III',
+                cost: { energy: 400, materials: 900 },
+                buildTime: 20,
+                production: { energy: 30 },
+                requiresTech: 'solar_collectors_orbital',
+            },
+        ],
+    },
+    'battery_bank': {
+        id: 'battery_bank',
+        name: 'Battery Bank',
+        description: 'Ground-based energy storage. Raises the energy cap.',
+        icon: '🔋',
+        category: 'energy',
+        era: 1,
+        cost: {
+            energy: 20,
+            materials: 120,
+        },
+        buildTime: 8,
+        production: {
+            energyStorage: 2500,
+        },
+        limit: null,
+        requiresTech: 'solar_panels',
+        placement: 'surface',
     },
     'space_station': {
         id: 'space_station',
@@ -56,6 +97,9 @@ export const STRUCTURES = {
         production: {
             research: 1,
         },
+        upkeep: {
+            energy: 0.5, // per second
+        },
         limit: 3,
         requiresTech: 'orbital_mechanics',
         placement: 'orbit',
@@ -75,9 +119,30 @@ export const STRUCTURES = {
         production: {
             materials: 3,
         },
+        upkeep: {
+            energy: 1, // per second
+        },
         limit: 10,
         requiresTech: 'material_science',
         placement: 'surface',
+        tiers: [
+            {
+                name: 'Mk II',
+                cost: { energy: 200, materials: 350 },
+                buildTime: 30,
+                production: { materials: 8 },
+                upkeep: { energy: 2 },
+                requiresTech: 'asteroid_mining',
+            },
+            {
+                name: 'Mk III',
+                cost: { energy: 1500, materials: 2500 },
+                buildTime: 45,
+                production: { materials: 20 },
+                upkeep: { energy: 4 },
+                requiresTech: 'self_replication',
+            },
+        ],
     },
     'habitat_module': {
         id: 'habitat_module',
@@ -94,6 +159,9 @@ export const STRUCTURES = {
         production: {
             population: 10,
         },
+        upkeep: {
+            energy: 0.5, // per second
+        },
         limit: 20,
         requiresTech: 'life_support',
         placement: 'orbit',
@@ -115,6 +183,9 @@ export const STRUCTURES = {
         production: {
             cargoCapacity: 100,
         },
+        upkeep: {
+            energy: 2, // per second
+        },
         limit: 20,
         requiresTech: 'ion_propulsion',
         placement: 'fleet',
@@ -134,6 +205,9 @@ export const STRUCTURES = {
         production: {
             materials: 15,
         },
+        upkeep: {
+            energy: 5, // per second
+        },
         limit: 50,
         requiresTech: 'asteroid_mining',
         placement: 'asteroid_belt',
@@ -148,12 +222,16 @@ export const STRUCTURES = {
         cost: {
             energy: 1000,
             materials: 2000,
+            population: 1000,
         },
         buildTime: 120,
         production: {
             population: 1000,
             research: 2,
         },
+        upkeep: {
+            energy: 30, // per second
+        },
         limit: 10,
         requiresTech: 'rotating_habitats',
         placement: 'orbit',
@@ -174,6 +252,9 @@ export const STRUCTURES = {
         production: {
             buildSpeedBonus: 0.1, // +10% per hub
         },
+        upkeep: {
+            energy: 10, // per second
+        },
         limit: 5,
         requiresTech: 'automated_construction',
         placement: 'orbit',
@@ -193,6 +274,7 @@ export const STRUCTURES = {
         production: {
             energy: 20,
             materials: 5,
+            energyStorage: 10000,
         },
         limit: 3,
         requiresTech: 'mercury_operations',
@@ -251,12 +333,16 @@ export const STRUCTURES = {
         cost: {
             energy: 5000,
             materials: 8000,
+            population: 5000,
         },
         buildTime: 180,
         production: {
             materials: 50,
             autoConstruction: 1, // Builds 1 structure per minute
         },
+        upkeep: {
+            energy: 150, // per second
+        },
         limit: 10,
         requiresTech: 'self_replication',
         placement: 'orbit',
@@ -275,6 +361,7 @@ export const STRUCTURES = {
         buildTime: 45,
         production: {
             energyEfficiency: 0.05, // +5% energy delivery
+            energyStorage: 25000,
         },
         limit: 20,
         requiresTech: 'energy_transmission',
@@ -290,12 +377,16 @@ export const STRUCTURES = {
         cost: {
             energy: 10000,
             materials: 5000,
+            population: 20000,
         },
         buildTime: 240,
         production: {
             materials: 100,
             exoticMaterials: 1,
         },
+        upkeep: {
+            energy: 500, // per second
+        },
         limit: 5,
         requiresTech: 'mega_engineering',
         placement: 'solar_orbit',
@@ -312,12 +403,14 @@ export const STRUCTURES = {
         cost: {
             energy: 50000,
             materials: 30000,
+            exoticMaterials: 50,
         },
         buildTime: 300,
         production: {
             solarCapture: 0.01, // 1% each
             energy: 5000,
             dysonBonus: 2.0, // Doubles effectiveness of satellites
+            energyStorage: 250000,
         },
         limit: 10,
         requiresTech: 'dyson_swarm_advanced',
@@ -334,11 +427,15 @@ export const STRUCTURES = {
         cost: {
             energy: 100000,
             materials: 50000,
+            exoticMaterials: 150,
         },
         buildTime: 600,
         production: {
             antimatter: 1,
-            energyStorage: 10000,
+            energyStorage: 1000000, // Antimatter containment doubles as bulk storage
+        },
+        upkeep: {
+            energy: 1000, // per second
         },
         limit: 5,
         requiresTech: 'antimatter_production',
@@ -354,12 +451,16 @@ export const STRUCTURES = {
         cost: {
             energy: 200000,
             materials: 100000,
+            antimatter: 100,
         },
         buildTime: 900,
         production: {
             materials: 1000,
             solarMatter: 10,
         },
+        upkeep: {
+            energy: 2000, // per second
+        },
         limit: 3,
         requiresTech: 'stellar_engineering',
         placement: 'solar_surface',
@@ -374,12 +475,17 @@ export const STRUCTURES = {
         cost: {
             energy: 500000,
             materials: 300000,
+            antimatter: 200,
+            solarMatter: 1000,
         },
         buildTime: 1200,
         production: {
             computation: 1000000,
             research: 100,
         },
+        upkeep: {
+            energy: 5000, // per second
+        },
         limit: 3,
         requiresTech: 'matrioshka_brain',
         placement: 'dyson_swarm',
@@ -387,6 +493,45 @@ export const STRUCTURES = {
     },
 };
 
+// Power priority when energy runs short: lower numbers stay powered longest
+export const POWER_PRIORITY = {
+    infrastructure: 1,
+    habitat: 1,
+    production: 2,
+    special: 2,
+    dyson: 3,
+    energy: 3,
+};
+
+// Get a structure's power priority (structures may override with powerPriority)
+export function getPowerPriority(structure) {
+    return structure.powerPriority ?? POWER_PRIORITY[structure.category] ?? 2;
+}
+
+// Get a structure's energy upkeep per second
+export function getEnergyUpkeep(structure) {
+    return structure.upkeep?.energy || 0;
+}
+
+// Highest tier a structure can be upgraded to (1 if it has no tiers)
+export function getMaxTier(structure) {
+    return 1 + (structure?.tiers?.length || 0);
+}
+
+// A structure as it is at a tier: tier 1 is the base entry, higher tiers override it
+export function getStructureTier(structure, tier = 1) {
+    const tierDef = structure?.tiers?.[tier - 2];
+    if (!tierDef) return structure;
+
+    return {
+        ...structure,
+        ...tierDef,
+        name: `${structure.name} ${tierDef.name}`,
+        tierName: tierDef.name,
+        tier,
+    };
+}
+
 // Get structures by category
 export function getStructuresByCategory(category) {
     return Object.values(STRUCTURES).filter(s => s.category === category);
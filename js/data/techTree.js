@@ -23,7 +23,7 @@ export const TECH_TREE = {
         icon: '☀️',
         era: 1,
         cost: { research: 50 },
-        unlocks: ['structures:solar_collector'],
+        unlocks: ['structures:solar_collector', 'structures:battery_bank'],
         prerequisites: ['basic_rocketry'],
         effects: {
             energyGeneration: 1.0,
@@ -204,7 +204,7 @@ export const TECH_TREE = {
         unlocks: ['structures:energy_relay'],
         prerequisites: ['solar_collectors_orbital'],
         effects: {
-            energyTransfer: 0.99, // 99% efficiency
+            energyTransfer: true,
         },
     },
     'mega_engineering': {
@@ -213,7 +213,7 @@ export const TECH_TREE = {
         description: 'Engineering principles for planet-scale construction.',
         icon: '🏗️',
         era: 3,
-        cost: { research: 4000 },
+        cost: { research: 4000, population: 10000 },
         unlocks: ['structures:stellar_forge'],
         prerequisites: ['self_replication', 'energy_transmission'],
         effects: {
@@ -242,7 +242,7 @@ export const TECH_TREE = {
         description: 'Optimized designs for maximum solar capture.',
         icon: '⭐',
         era: 4,
-        cost: { research: 10000 },
+        cost: { research: 10000, exoticMaterials: 25 },
         unlocks: ['structures:dyson_hub'],
         prerequisites: ['mega_engineering', 'dyson_swarm_basics'],
         effects: {
@@ -269,7 +269,7 @@ export const TECH_TREE = {
         description: 'Modify the Sun itself for optimal energy output.',
         icon: '🌟',
         era: 4,
-        cost: { research: 25000 },
+        cost: { research: 25000, antimatter: 25 },
         unlocks: ['structures:starlifter'],
         prerequisites: ['antimatter_production'],
         effects: {
@@ -282,7 +282,7 @@ export const TECH_TREE = {
         description: 'Convert the entire solar output into computational substrate.',
         icon: '🧠',
         era: 4,
-        cost: { research: 50000 },
+        cost: { research: 50000, solarMatter: 500 },
         unlocks: ['structures:computation_sphere'],
         prerequisites: ['stellar_engineering', 'dyson_swarm_advanced'],
         effects: {
@@ -296,7 +296,7 @@ export const TECH_TREE = {
         description: 'Complete mastery of solar energy. A new chapter begins.',
         icon: '🏆',
         era: 4,
-        cost: { research: 100000 },
+        cost: { research: 100000, computation: 50000000 },
         unlocks: ['sandbox_mode'],
         prerequisites: ['matrioshka_brain'],
         effects: {
@@ -319,6 +319,28 @@ export function getAvailableTechs(researchedTechs) {
     });
 }
 
+// Resources paid when research starts (everything except the research points themselves)
+export function getTechUpfrontCost(tech) {
+    const { research, ...upfront } = tech.cost;
+    return upfront;
+}
+
+// Unresearched techs needed to reach a tech (itself included), prerequisites before dependents
+export function getPrerequisitePath(techId, researchedTechs) {
+    const path = [];
+    const visited = new Set();
+
+    const visit = (id) => {
+        if (visited.has(id) || researchedTechs.includes(id) || !TECH_TREE[id]) return;
+        visited.add(id);
+        TECH_TREE[id].prerequisites.forEach(visit);
+        path.push(id);
+    };
+
+    visit(techId);
+    return path;
+}
+
 // Calculate research progress percentage
 export function getResearchProgress(techId, currentResearch) {
     const tech = TECH_TREE[techId];
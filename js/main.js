@@ -4,6 +4,7 @@
 import { getGameLoop } from './core/GameLoop.js';
 import { getStateManager } from './core/StateManager.js';
 import { getSaveSystem } from './core/SaveSystem.js';
+import { getModLoader } from './core/ModLoader.js';
 import { getTimeManager } from './core/TimeManager.js';
 
 // Scene systems
@@ -18,13 +19,18 @@ import { getResourceSystem } from './systems/ResourceSystem.js';
 import { getProgressionSystem } from './systems/ProgressionSystem.js';
 import { getIdleAccumulator } from './systems/IdleAccumulator.js';
 import { getConstructionSystem } from './systems/ConstructionSystem.js';
+import { getPrestigeSystem } from './systems/PrestigeSystem.js';
 
 // UI systems
 import { getUIManager } from './ui/UIManager.js';
 
+// Data
+import { assertValidEffects } from './data/effects.js';
+
 class Game {
     constructor() {
         // Core
+        this.modLoader = null;
         this.gameLoop = null;
         this.stateManager = null;
         this.saveSystem = null;
@@ -42,6 +48,7 @@ class Game {
         this.progressionSystem = null;
         this.idleAccumulator = null;
         this.constructionSystem = null;
+        this.prestigeSystem = null;
 
         // UI
         this.uiManager = null;
@@ -98,6 +105,13 @@ class Game {
     }
 
     async initCoreSystems() {
+        // Refuse to start on data that uses unimplemented effect keys
+        assertValidEffects();
+
+        // Content packs rewrite the data tables, so apply them before anything reads them
+        this.modLoader = getModLoader();
+        await this.modLoader.init();
+
         // State manager must be first
         this.stateManager = getStateManager();
 
@@ -115,9 +129,9 @@ class Game {
 
     async loadSavedState() {
         // Initialize save system (loads existing save if present)
-        const hadSave = this.saveSystem.init();
+        const hadSave = await this.saveSystem.init();
 
-        // Initialize time manager (calculates offline progress)
+        // Initialize time manager (restores play time)
         this.timeManager.init();
 
         if (hadSave) {
@@ -166,10 +180,19 @@ class Game {
         this.progressionSystem = getProgressionSystem();
         this.progressionSystem.init();
 
+        // Prestige system
+        this.prestigeSystem = getPrestigeSystem();
+        this.prestigeSystem.init();
+
         // Idle accumulator
         this.idleAccumulator = getIdleAccumulator();
         this.idleAccumulator.init();
 
+        // Persist settled offline progress so a quick reload can't pay it out again
+        if (this.idleAccumulator.getOfflineProgress()) {
+            this.saveSystem.save();
+        }
+
         console.log('[Game] Game systems initialized');
     }
 
@@ -6,12 +6,16 @@ import { CONFIG } from '../config.js';
 import { STRUCTURES } from '../data/structures.js';
 import { getStateManager } from '../core/StateManager.js';
 import { getSceneManager } from './SceneManager.js';
+import { getSolarSystemBuilder } from './SolarSystemBuilder.js';
+import { getPlacementRegistry } from '../systems/PlacementRegistry.js';
 import { createMegastructure } from '../entities/Megastructure.js';
 
 export class MegastructureRenderer {
     constructor() {
         this.stateManager = getStateManager();
         this.sceneManager = null;
+        this.solarSystemBuilder = null;
+        this.placementRegistry = null;
 
         // Instanced meshes for Dyson satellites
         this.dysonSwarm = null;
@@ -19,8 +23,9 @@ export class MegastructureRenderer {
         this.dysonMatrix = new THREE.Matrix4();
         this.dysonDummy = new THREE.Object3D();
 
-        // Individual structures (non-instanced)
+        // Individual structures (non-instanced), keyed by `${bodyId}:${structureId}`
         this.structures = new Map();
+        this.instanceCounter = 0; // Keeps mesh ids unique after decommissioning
 
         // Animation time
         this.time = 0;
@@ -31,13 +36,18 @@ export class MegastructureRenderer {
 
     init() {
         this.sceneManager = getSceneManager();
+        this.solarSystemBuilder = getSolarSystemBuilder();
+        this.placementRegistry = getPlacementRegistry();
 
         // Create Dyson swarm instanced mesh
         this.createDysonSwarm();
 
         // Listen for structure built events
-        this.stateManager.subscribe('structure:built', ({ structureId, total }) => {
-            this.onStructureBuilt(structureId, total);
+        this.stateManager.subscribe('structure:built', ({ structureId, bodyId, bodyTotal }) => {
+            this.onStructureBuilt(structureId, bodyId, bodyTotal);
+        });
+        this.stateManager.subscribe('structure:removed', ({ structureId, bodyId, bodyTotal }) => {
+            this.onStructureRemoved(structureId, bodyId, bodyTotal);
         });
 
         // Listen for quality changes
@@ -141,29 +151,80 @@ export class MegastructureRenderer {
     }
 
     // Handle structure built event
-    onStructureBuilt(structureId, total) {
+    onStructureBuilt(structureId, bodyId, bodyTotal) {
         if (structureId === 'dyson_satellite') {
             // Update Dyson swarm
             this.updateDysonSwarm();
         } else {
             // Create/update other structure visuals
-            this.updateStructureVisual(structureId, total);
+            this.updateStructureVisual(structureId, bodyId, bodyTotal);
+        }
+    }
+
+    // Handle structure removed event
+    onStructureRemoved(structureId, bodyId, bodyTotal) {
+        if (structureId === 'dyson_satellite') {
+            this.updateDysonSwarm();
+        } else {
+            this.trimStructureVisual(structureId, bodyId, bodyTotal);
+        }
+    }
+
+    // Remove meshes down to count, taking the selected one first, then the newest
+    trimStructureVisual(structureId, bodyId, count) {
+        const key = `${bodyId}:${structureId}`;
+        const group = this.structures.get(key);
+        if (!group) return;
+
+        const selectedId = this.stateManager.getState().ui.selectedObject?.id;
+
+        while (group.children.length > count) {
+            const object = group.children.find(child => child.userData.id === selectedId) ||
+                group.children[group.children.length - 1];
+
+            if (object.userData.id === selectedId) {
+                this.stateManager.set('ui.selectedObject', null);
+            }
+
+            group.remove(object);
+            this.sceneManager.unregisterClickable(object);
+            this.disposeObject(object);
+        }
+
+        if (group.children.length === 0) {
+            group.parent?.remove(group);
+            this.structures.delete(key);
         }
     }
 
-    // Update visual for non-Dyson structures
-    updateStructureVisual(structureId, count) {
+    // Free the geometry and materials of a structure mesh
+    disposeObject(object) {
+        object.traverse((child) => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) {
+                if (Array.isArray(child.material)) {
+                    child.material.forEach(m => m.dispose());
+                } else {
+                    child.material.dispose();
+                }
+            }
+        });
+    }
+
+    // Update visual for non-Dyson structures placed on a body
+    updateStructureVisual(structureId, bodyId, count) {
         const structureDef = STRUCTURES[structureId];
         if (!structureDef) return;
 
         // Get or create structure group
-        let group = this.structures.get(structureId);
+        const key = `${bodyId}:${structureId}`;
+        let group = this.structures.get(key);
 
         if (!group) {
             group = new THREE.Group();
-            group.name = `structures_${structureId}`;
-            this.structures.set(structureId, group);
-            this.sceneManager.add(group);
+            group.name = `structures_${bodyId}_${structureId}`;
+            this.structures.set(key, group);
+            this.getBodyAnchor(bodyId).add(group);
         }
 
         // Add new structures up to count
@@ -172,10 +233,12 @@ export class MegastructureRenderer {
 
         for (let i = 0; i < toAdd; i++) {
             const structure = createMegastructure(structureId, {
-                id: `${structureId}_${currentCount + i}`,
+                id: `${bodyId}_${structureId}_${this.instanceCounter++}`,
                 name: structureDef.name,
+                structureId,
+                bodyId,
                 scale: structureDef.visualScale || 1,
-                orbitRadius: this.getOrbitRadiusForPlacement(structureDef.placement),
+                orbitRadius: this.getOrbitRadiusForBody(bodyId, structureDef.placement),
                 orbitSpeed: 0.01 + Math.random() * 0.02,
                 orbitAngle: Math.random() * Math.PI * 2,
             });
@@ -186,6 +249,29 @@ export class MegastructureRenderer {
         }
     }
 
+    // Get the scene object structures on a body should follow
+    getBodyAnchor(bodyId) {
+        const planet = this.solarSystemBuilder?.getPlanet(bodyId);
+        return planet ? planet.getObject() : this.sceneManager.getScene();
+    }
+
+    // Get orbit radius for a structure on a body (relative to its anchor)
+    getOrbitRadiusForBody(bodyId, placement) {
+        const planet = this.solarSystemBuilder?.getPlanet(bodyId);
+        if (planet) {
+            // Surface structures hug the planet, orbital ones sit a little further out
+            const offset = placement === 'surface' || placement === bodyId ? 1.1 : 1.8;
+            return planet.radius * offset + Math.random() * 2;
+        }
+
+        const body = this.placementRegistry?.getBody(bodyId);
+        if (body?.innerRadius && body?.outerRadius) {
+            return body.innerRadius + Math.random() * (body.outerRadius - body.innerRadius);
+        }
+
+        return this.getOrbitRadiusForPlacement(placement);
+    }
+
     // Get orbit radius based on placement type
     getOrbitRadiusForPlacement(placement) {
         switch (placement) {
@@ -206,15 +292,11 @@ export class MegastructureRenderer {
 
     // Restore structures from saved state
     restoreStructures() {
-        const state = this.stateManager.getState();
-
-        for (const [structureId, count] of Object.entries(state.structures)) {
-            if (count <= 0) continue;
-
+        for (const { bodyId, structureId, count } of this.placementRegistry.getInstances()) {
             if (structureId === 'dyson_satellite') {
                 this.updateDysonSwarm();
             } else {
-                this.updateStructureVisual(structureId, count);
+                this.updateStructureVisual(structureId, bodyId, count);
             }
         }
     }
@@ -1,55 +1,306 @@
 // Construction System - Build queue and structure management
 
-import { STRUCTURES, canAfford as checkCanAfford } from '../data/structures.js';
+import { CONFIG, formatNumber } from '../config.js';
+import { STRUCTURES, canAfford as checkCanAfford, getMaxTier, getStructureTier } from '../data/structures.js';
+import { RESOURCES, getResourceIcon } from '../data/resources.js';
 import { getStateManager } from '../core/StateManager.js';
 import { getResourceSystem } from './ResourceSystem.js';
+import { getPlacementRegistry } from './PlacementRegistry.js';
+import { systemClock } from '../core/Clock.js';
 
 export class ConstructionSystem {
-    constructor() {
-        this.stateManager = getStateManager();
-        this.resourceSystem = null;
+    constructor({ stateManager = getStateManager(), resourceSystem = null, placementRegistry = null, clock = systemClock } = {}) {
+        this.stateManager = stateManager;
+        this.resourceSystem = resourceSystem;
+        this.placementRegistry = placementRegistry;
+        this.clock = clock;
 
         // Maximum queue size
         this.baseQueueSize = 10;
 
         this.autoBuildProgress = 0;
+
+        // Keeps queue item ids unique when several are added in the same millisecond
+        this.itemCounter = 0;
     }
 
     init() {
-        this.resourceSystem = getResourceSystem();
+        // Fall back to the shared systems unless others were injected
+        this.resourceSystem = this.resourceSystem || getResourceSystem();
+        this.placementRegistry = this.placementRegistry || getPlacementRegistry();
 
         console.log('[ConstructionSystem] Initialized');
     }
 
     // Update called every tick
     update(deltaTime) {
-        const queue = this.stateManager.getQueue();
-        if (queue.length === 0) {
-            this.applyAutoConstruction(deltaTime);
-            return;
+        const active = this.getActiveItems();
+        const laneSpeed = this.getLaneSpeed();
+
+        // Progress every item that has a lane
+        for (const item of active) {
+            item.progress += this.payForProgress(item, deltaTime * laneSpeed);
+
+            // Emit progress event
+            this.stateManager.emit('construction:progress', {
+                item,
+                progress: item.progress,
+                total: item.buildTime,
+                percent: item.progress / item.buildTime,
+            });
         }
 
-        // Process the first item in queue
-        const item = queue[0];
-        const buildSpeed = this.resourceSystem.getBuildSpeed();
+        // Complete finished items (freed lanes take the next queued items next tick)
+        for (const item of active) {
+            if (item.progress >= item.buildTime) {
+                this.completeConstruction(item);
+            }
+        }
 
-        // Progress construction
-        item.progress += deltaTime * buildSpeed;
+        this.applyAutoConstruction(deltaTime);
+        this.evaluateStandingOrders();
+    }
 
-        // Emit progress event
-        this.stateManager.emit('construction:progress', {
-            item,
-            progress: item.progress,
-            total: item.buildTime,
-            percent: item.progress / item.buildTime,
+    // Add a standing order:
+    //   { type: 'maintain', structureId, count }            - keep count built or queued
+    //   { type: 'repeat', structureId, resource, threshold } - keep building while resource > threshold
+    // Returns { success: true, order } or { success: false, reason }
+    addStandingOrder({ type, structureId, count, resource = 'energy', threshold, bodyId = null }) {
+        const structure = STRUCTURES[structureId];
+        if (!structure) {
+            return { success: false, reason: 'unknown_structure' };
+        }
+
+        let order;
+        if (type === 'maintain') {
+            if (!Number.isInteger(count) || count < 1) {
+                return { success: false, reason: 'invalid_count' };
+            }
+            if (structure.limit !== null && count > structure.limit) {
+                return { success: false, reason: 'limit_reached' };
+            }
+            order = { type, structureId, count };
+        } else if (type === 'repeat') {
+            if (!RESOURCES[resource] || !Number.isFinite(threshold) || threshold < 0) {
+                return { success: false, reason: 'invalid_threshold' };
+            }
+            order = { type, structureId, resource, threshold };
+        } else {
+            return { success: false, reason: 'unknown_order_type' };
+        }
+
+        Object.assign(order, {
+            id: `order_${this.clock.now()}_${this.itemCounter++}`,
+            bodyId,
+            paused: false,
+            built: 0, // Items this order has queued
+            status: null, // Why the order last could not queue anything
         });
 
-        // Check if complete
-        if (item.progress >= item.buildTime) {
-            this.completeConstruction(item);
+        this.getStandingOrders().push(order);
+        this.stateManager.emit('orders:change', { orders: this.getStandingOrders() });
+
+        console.log('[ConstructionSystem] Standing order added:', order.type, structure.name);
+        return { success: true, order };
+    }
+
+    removeStandingOrder(orderId) {
+        const orders = this.getStandingOrders();
+        const index = orders.findIndex(order => order.id === orderId);
+        if (index === -1) return false;
+
+        orders.splice(index, 1);
+        this.stateManager.emit('orders:change', { orders });
+        return true;
+    }
+
+    setStandingOrderPaused(orderId, paused) {
+        const order = this.getStandingOrders().find(entry => entry.id === orderId);
+        if (!order) return false;
+
+        order.paused = paused;
+        order.status = null;
+        this.stateManager.emit('orders:change', { orders: this.getStandingOrders() });
+        return true;
+    }
+
+    getStandingOrders() {
+        return this.stateManager.state.standingOrders;
+    }
+
+    // Queue at most one item per active order per tick
+    evaluateStandingOrders() {
+        let changed = false;
+
+        for (const order of this.getStandingOrders()) {
+            if (order.paused) continue;
+
+            const status = this.runStandingOrder(order);
+            if (status === 'queued') {
+                order.built++;
+                changed = true;
+            } else if (status !== order.status) {
+                changed = true;
+            }
+            order.status = status === 'queued' ? null : status;
         }
 
-        this.applyAutoConstruction(deltaTime);
+        if (changed) {
+            this.stateManager.emit('orders:change', { orders: this.getStandingOrders() });
+        }
+    }
+
+    // Try to fill one order; returns 'queued', 'satisfied', or a build failure reason
+    runStandingOrder(order) {
+        // An order pinned to a body only counts what is built or queued there
+        const queued = this.getQueuedCount(order.structureId, order.bodyId);
+
+        if (order.type === 'maintain') {
+            const built = order.bodyId
+                ? this.stateManager.getStructureCountAt(order.bodyId, order.structureId)
+                : this.stateManager.getStructureCount(order.structureId);
+            if (built + queued >= order.count) {
+                return 'satisfied';
+            }
+        } else {
+            if ((this.stateManager.getState().resources[order.resource] || 0) <= order.threshold) {
+                return 'below_threshold';
+            }
+            // Don't flood the queue: at most one waiting item per lane
+            if (queued >= this.getLaneCount()) {
+                return 'satisfied';
+            }
+        }
+
+        const result = this.build(order.structureId, order.bodyId ? { bodyId: order.bodyId } : {});
+        return result.success ? 'queued' : result.reason;
+    }
+
+    // Number of items that can be built at once
+    getLaneCount() {
+        const lanes = CONFIG.CONSTRUCTION;
+        const hubs = this.stateManager.getStructureCount('construction_hub');
+        const launchCapacity = this.resourceSystem?.getLogistics?.().launchCapacity || 0;
+
+        return lanes.BASE_LANES + hubs * lanes.LANES_PER_HUB +
+            Math.floor(launchCapacity / lanes.LAUNCH_CAPACITY_PER_LANE);
+    }
+
+    // Queue items currently in a lane (the front of the queue)
+    getActiveItems() {
+        return this.stateManager.getQueue().slice(0, this.getLaneCount());
+    }
+
+    // How lanes share build speed: 'split' or 'pooled' (see CONFIG.CONSTRUCTION)
+    getLaneMode() {
+        return this.stateManager.getSetting('buildLaneMode') === 'pooled' ? 'pooled' : 'split';
+    }
+
+    setLaneMode(mode) {
+        this.stateManager.setSetting('buildLaneMode', mode === 'pooled' ? 'pooled' : 'split');
+    }
+
+    // Lanes building right now; items stalled on resources don't hold a share of the speed
+    getBusyLaneCount() {
+        return this.getActiveItems().filter(item => !item.waitingFor).length;
+    }
+
+    // Build speed of each busy lane: split runs every lane at the full build speed,
+    // pooled shares one lane's worth among the busy lanes
+    getLaneSpeed(busyLanes = this.getBusyLaneCount()) {
+        const buildSpeed = this.resourceSystem.getBuildSpeed();
+        if (this.getLaneMode() === 'split') {
+            return buildSpeed;
+        }
+        return buildSpeed / Math.max(1, busyLanes);
+    }
+
+    // How queued items pay for themselves: 'upfront' or 'progressive' (see CONFIG.CONSTRUCTION)
+    getCostMode() {
+        return this.stateManager.getSetting('buildCostMode') === 'progressive' ? 'progressive' : 'upfront';
+    }
+
+    setCostMode(mode) {
+        this.stateManager.setSetting('buildCostMode', mode === 'progressive' ? 'progressive' : 'upfront');
+    }
+
+    // Whether a cost can be started on in the current cost mode: upfront needs all of it,
+    // progressive only needs some of each resource to pay for the first tick
+    canAffordToStart(cost) {
+        if (this.getCostMode() === 'upfront') return this.resourceSystem.canAfford(cost);
+
+        const resources = this.stateManager.getState().resources;
+        return Object.entries(cost).every(([resource, amount]) => amount <= 0 || (resources[resource] || 0) > 0);
+    }
+
+    // Spend what the next `progress` seconds of building cost and return the progress paid for.
+    // Upfront items are already paid; progressive items stall on the scarcest resource.
+    payForProgress(item, progress) {
+        if (item.costMode !== 'progressive' || progress <= 0) return progress;
+
+        progress = Math.min(progress, item.buildTime - item.progress);
+        const fraction = progress / item.buildTime;
+        const resources = this.stateManager.getState().resources;
+
+        // Share of the requested progress the stockpiles can cover
+        let affordable = 1;
+        let shortOf = null;
+        for (const [resource, amount] of Object.entries(item.cost)) {
+            const needed = amount * fraction;
+            if (needed <= 0) continue;
+            const ratio = (resources[resource] || 0) / needed;
+            if (ratio < affordable) {
+                affordable = ratio;
+                shortOf = resource;
+            }
+        }
+
+        for (const [resource, amount] of Object.entries(item.cost)) {
+            const spent = Math.min(amount * fraction * affordable, resources[resource] || 0);
+            if (spent <= 0) continue;
+            this.stateManager.spendResource(resource, spent);
+            item.paid[resource] = (item.paid[resource] || 0) + spent;
+        }
+
+        if (shortOf !== item.waitingFor) {
+            item.waitingFor = shortOf;
+            this.stateManager.emit('construction:stall', { item, resource: shortOf });
+        }
+
+        return progress * affordable;
+    }
+
+    // Resources to give back if an item is cancelled now
+    getRefund(item) {
+        const structure = STRUCTURES[item.structureId];
+        const refund = {};
+
+        if (item.costMode === 'progressive') {
+            // Exactly what was paid but not yet built into the structure
+            const built = item.progress / item.buildTime;
+            for (const [resource, paid] of Object.entries(item.paid)) {
+                refund[resource] = Math.max(0, paid - item.cost[resource] * built);
+            }
+        } else {
+            // 50% if in progress, 100% if not started
+            const refundMultiplier = item.progress > 0 ? 0.5 : 1.0;
+            for (const [resource, amount] of Object.entries(item.cost || structure.cost)) {
+                refund[resource] = Math.floor(amount * refundMultiplier);
+            }
+        }
+
+        return refund;
+    }
+
+    // Resources a progressive item still has to pay
+    getUnpaidCost(item) {
+        const unpaid = {};
+        if (item.costMode !== 'progressive') return unpaid;
+
+        for (const [resource, amount] of Object.entries(item.cost)) {
+            unpaid[resource] = Math.max(0, amount - (item.paid[resource] || 0));
+        }
+        return unpaid;
     }
 
     // Start building a structure
@@ -74,8 +325,20 @@ export class ConstructionSystem {
             }
         }
 
-        // Check if can afford
-        if (!this.resourceSystem.canAfford(structure.cost)) {
+        // Resolve where the structure will be placed
+        const bodyId = options.bodyId || this.placementRegistry.getDefaultBody(structureId);
+        if (!bodyId) {
+            return { success: false, reason: 'no_free_slot' };
+        }
+
+        const placement = this.placementRegistry.canPlace(structureId, bodyId);
+        if (!placement.success) {
+            return placement;
+        }
+
+        // Check if can afford (progressive builds pay as they go)
+        const costMode = this.getCostMode();
+        if (costMode === 'upfront' && !this.resourceSystem.canAfford(structure.cost)) {
             return { success: false, reason: 'cannot_afford' };
         }
 
@@ -86,35 +349,177 @@ export class ConstructionSystem {
         }
 
         // Deduct resources
-        this.resourceSystem.spend(structure.cost);
+        if (costMode === 'upfront') {
+            this.resourceSystem.spend(structure.cost);
+        }
 
         // Add to queue
         const queueItem = {
-            id: `${structureId}_${Date.now()}`,
+            id: `${structureId}_${this.clock.now()}_${this.itemCounter++}`,
             structureId,
             name: structure.name,
             icon: structure.icon,
             buildTime: structure.buildTime,
             progress: 0,
-            placement: options.placement || structure.placement,
-            position: options.position || null,
+            placement: structure.placement,
+            bodyId,
+            costMode,
         };
 
+        if (costMode === 'progressive') {
+            queueItem.cost = { ...structure.cost };
+            queueItem.paid = {};
+            queueItem.waitingFor = null; // Resource the item is stalled on
+        }
+
         this.stateManager.addToQueue(queueItem);
 
         this.stateManager.emit('construction:start', { item: queueItem, structure });
-        console.log('[ConstructionSystem] Started building:', structure.name);
+        console.log('[ConstructionSystem] Started building:', structure.name, 'at', bodyId);
 
         return { success: true, item: queueItem };
     }
 
+    // Next upgrade for a structure: the lowest tier with an instance not already being upgraded.
+    // Returns { bodyId, fromTier, tier } or { reason }
+    findUpgrade(structureId, bodyId = null) {
+        const structure = STRUCTURES[structureId];
+        const maxTier = getMaxTier(structure);
+        if (maxTier < 2) return { reason: 'no_upgrades' };
+
+        const bodies = bodyId ? [bodyId] : this.placementRegistry.getInstances()
+            .filter(instance => instance.structureId === structureId)
+            .map(instance => instance.bodyId);
+
+        let reason = 'none_built';
+        for (let fromTier = 1; fromTier < maxTier; fromTier++) {
+            for (const body of bodies) {
+                const upgrading = this.stateManager.getQueue().filter(item =>
+                    item.type === 'upgrade' && item.structureId === structureId &&
+                    item.bodyId === body && item.fromTier === fromTier
+                ).length;
+                if ((this.stateManager.getTierCountsAt(body, structureId)[fromTier] || 0) - upgrading < 1) continue;
+
+                if (!this.isTechUnlocked(getStructureTier(structure, fromTier + 1).requiresTech)) {
+                    reason = 'tech_not_unlocked';
+                    continue;
+                }
+                return { bodyId: body, fromTier, tier: fromTier + 1 };
+            }
+        }
+
+        // Some are built: either all at the top tier or the rest already being upgraded
+        if (reason === 'none_built' && bodies.some(body => this.stateManager.getStructureCountAt(body, structureId) > 0)) {
+            const belowMax = bodies.some(body => Object.keys(this.stateManager.getTierCountsAt(body, structureId))
+                .some(tier => tier < maxTier));
+            reason = belowMax ? 'already_upgrading' : 'max_tier';
+        }
+        return { reason };
+    }
+
+    // Queue an upgrade of one instance to the next tier (over the tier's build time)
+    upgrade(structureId, options = {}) {
+        const structure = STRUCTURES[structureId];
+        if (!structure) {
+            return { success: false, reason: 'unknown_structure' };
+        }
+
+        const target = this.findUpgrade(structureId, options.bodyId);
+        if (target.reason) {
+            return { success: false, reason: target.reason };
+        }
+
+        const tierDef = getStructureTier(structure, target.tier);
+
+        const costMode = this.getCostMode();
+        if (costMode === 'upfront' && !this.resourceSystem.canAfford(tierDef.cost)) {
+            return { success: false, reason: 'cannot_afford' };
+        }
+
+        if (this.stateManager.getQueue().length >= this.getMaxQueueSize()) {
+            return { success: false, reason: 'queue_full' };
+        }
+
+        if (costMode === 'upfront') {
+            this.resourceSystem.spend(tierDef.cost);
+        }
+
+        const queueItem = {
+            id: `${structureId}_${this.clock.now()}_${this.itemCounter++}`,
+            type: 'upgrade',
+            structureId,
+            name: `Upgrade to ${tierDef.name}`,
+            icon: structure.icon,
+            buildTime: tierDef.buildTime,
+            progress: 0,
+            placement: structure.placement,
+            bodyId: target.bodyId,
+            fromTier: target.fromTier,
+            tier: target.tier,
+            costMode,
+            cost: { ...tierDef.cost },
+        };
+
+        if (costMode === 'progressive') {
+            queueItem.paid = {};
+            queueItem.waitingFor = null;
+        }
+
+        this.stateManager.addToQueue(queueItem);
+
+        this.stateManager.emit('construction:start', { item: queueItem, structure });
+        console.log('[ConstructionSystem] Started upgrade:', tierDef.name, 'at', target.bodyId);
+
+        return { success: true, item: queueItem };
+    }
+
+    // Finish an upgrade; if its instance is gone (decommissioned meanwhile) give back what was paid
+    completeUpgrade(item) {
+        const structure = STRUCTURES[item.structureId];
+        const tierDef = getStructureTier(structure, item.tier);
+
+        if (!this.stateManager.upgradeStructure(item.structureId, item.bodyId, item.fromTier, item.tier)) {
+            const paid = item.costMode === 'progressive' ? item.paid : item.cost;
+            for (const [resource, amount] of Object.entries(paid)) {
+                this.resourceSystem.add(resource, amount);
+            }
+
+            this.stateManager.emit('notification', {
+                type: 'warning',
+                title: 'Upgrade Cancelled',
+                message: `No ${getStructureTier(structure, item.fromTier).name} was left to upgrade. Costs refunded.`,
+                duration: 4000,
+            });
+            return;
+        }
+
+        this.stateManager.emit('construction:complete', { item, structure: tierDef });
+
+        this.stateManager.emit('notification', {
+            type: 'success',
+            title: 'Upgrade Complete!',
+            message: `${tierDef.name} is now operational.`,
+            icon: structure.icon,
+            duration: 4000,
+        });
+
+        console.log('[ConstructionSystem] Upgraded:', tierDef.name);
+    }
+
     // Complete construction of an item
     completeConstruction(item) {
         // Remove from queue
-        this.stateManager.removeFromQueue(0);
+        const index = this.stateManager.getQueue().indexOf(item);
+        if (index === -1) return;
+        this.stateManager.removeFromQueue(index);
 
-        // Add structure to state
-        this.stateManager.addStructure(item.structureId);
+        if (item.type === 'upgrade') {
+            this.completeUpgrade(item);
+            return;
+        }
+
+        // Add structure to state on its body
+        this.stateManager.addStructure(item.structureId, 1, item.bodyId);
 
         const structure = STRUCTURES[item.structureId];
 
@@ -136,6 +541,104 @@ export class ConstructionSystem {
         console.log('[ConstructionSystem] Completed:', structure.name);
     }
 
+    // Counts of a structure by tier across all bodies: { 1: n, 2: m, ... }
+    getTierCounts(structureId) {
+        const counts = {};
+        for (const { bodyId, structureId: placed } of this.placementRegistry.getInstances()) {
+            if (placed !== structureId) continue;
+            for (const [tier, count] of Object.entries(this.stateManager.getTierCountsAt(bodyId, structureId))) {
+                counts[tier] = (counts[tier] || 0) + count;
+            }
+        }
+        return counts;
+    }
+
+    // Tiers of the instances decommissioning `count` at a body would remove, as { tier: count }
+    // (tier 1 goes first, as in StateManager.removeStructure)
+    getRemovalTiers(structureId, bodyId, count = 1) {
+        const tiers = this.stateManager.getTierCountsAt(bodyId, structureId);
+        const removed = {};
+        let left = count;
+
+        for (const tier of Object.keys(tiers).sort((a, b) => a - b)) {
+            if (left <= 0) break;
+            removed[tier] = Math.min(left, tiers[tier]);
+            left -= removed[tier];
+        }
+        return removed;
+    }
+
+    // Resources recovered by decommissioning structures of the given tiers ({ tier: count }).
+    // An upgraded instance also returns its share of every upgrade it went through.
+    getSalvage(structureId, tierCounts = { 1: 1 }) {
+        const structure = STRUCTURES[structureId];
+        const stepCosts = [structure?.cost || {}, ...(structure?.tiers || []).map(tierDef => tierDef.cost || {})];
+        const salvage = {};
+
+        for (const [tier, count] of Object.entries(tierCounts)) {
+            for (const cost of stepCosts.slice(0, Number(tier))) {
+                for (const [resource, amount] of Object.entries(cost)) {
+                    salvage[resource] = (salvage[resource] || 0) + amount * count;
+                }
+            }
+        }
+
+        for (const resource of Object.keys(salvage)) {
+            salvage[resource] = Math.floor(salvage[resource] * CONFIG.CONSTRUCTION.SALVAGE_FRACTION);
+        }
+        return salvage;
+    }
+
+    // Body holding the most of a structure, or null if none are built
+    getDecommissionBody(structureId) {
+        let best = null;
+        for (const { bodyId, structureId: placed, count } of this.placementRegistry.getInstances()) {
+            if (placed === structureId && (!best || count > best.count)) {
+                best = { bodyId, count };
+            }
+        }
+        return best?.bodyId || null;
+    }
+
+    // Remove built structures and refund a salvage fraction of their cost
+    decommission(structureId, options = {}) {
+        const structure = STRUCTURES[structureId];
+        if (!structure) {
+            return { success: false, reason: 'unknown_structure' };
+        }
+
+        const bodyId = options.bodyId || this.getDecommissionBody(structureId);
+        if (!bodyId || this.stateManager.getStructureCountAt(bodyId, structureId) === 0) {
+            return { success: false, reason: 'none_built' };
+        }
+
+        const removedTiers = this.getRemovalTiers(structureId, bodyId, options.count || 1);
+        const removed = this.stateManager.removeStructure(structureId, options.count || 1, bodyId);
+        const salvage = this.getSalvage(structureId, removedTiers);
+
+        for (const [resource, amount] of Object.entries(salvage)) {
+            this.resourceSystem.add(resource, amount);
+        }
+
+        this.stateManager.emit('structure:decommissioned', { structureId, bodyId, count: removed, salvage });
+
+        const salvageText = Object.entries(salvage)
+            .filter(([, amount]) => amount > 0)
+            .map(([resource, amount]) => `${getResourceIcon(resource)} ${formatNumber(amount, 0)}`)
+            .join(' ');
+
+        this.stateManager.emit('notification', {
+            type: 'success',
+            title: 'Decommissioned',
+            message: `${removed > 1 ? `${removed}x ` : ''}${structure.name} removed${salvageText ? `, salvaged ${salvageText}` : ''}.`,
+            icon: structure.icon,
+            duration: 4000,
+        });
+
+        console.log('[ConstructionSystem] Decommissioned:', removed, structure.name, 'at', bodyId);
+        return { success: true, bodyId, count: removed, salvage };
+    }
+
     // Cancel a queued item
     cancel(index) {
         const queue = this.stateManager.getQueue();
@@ -144,14 +647,8 @@ export class ConstructionSystem {
         const item = queue[index];
         const structure = STRUCTURES[item.structureId];
 
-        // Refund a portion of resources (50% if in progress, 100% if not started)
-        let refundMultiplier = 1.0;
-        if (item.progress > 0) {
-            refundMultiplier = 0.5;
-        }
-
-        for (const [resource, amount] of Object.entries(structure.cost)) {
-            this.resourceSystem.add(resource, Math.floor(amount * refundMultiplier));
+        for (const [resource, amount] of Object.entries(this.getRefund(item))) {
+            this.resourceSystem.add(resource, amount);
         }
 
         // Remove from queue
@@ -179,6 +676,15 @@ export class ConstructionSystem {
 
         while (this.autoBuildProgress >= 1 && this.stateManager.getQueue().length > 0) {
             const item = this.stateManager.getQueue()[0];
+
+            // Progressive items still have to pay the rest of their cost
+            const unpaid = this.getUnpaidCost(item);
+            if (!this.resourceSystem.canAfford(unpaid)) {
+                this.autoBuildProgress = 1;
+                break;
+            }
+            this.resourceSystem.spend(unpaid);
+
             this.completeConstruction(item);
             this.autoBuildProgress -= 1;
         }
@@ -208,7 +714,8 @@ export class ConstructionSystem {
         const queuedCount = this.getQueuedCount(structureId);
         const totalPlanned = currentCount + queuedCount;
         const techUnlocked = state.completedResearch.includes(structure.requiresTech);
-        const affordable = this.resourceSystem.canAfford(structure.cost);
+        const affordable = this.canAffordToStart(structure.cost);
+        const defaultBody = this.placementRegistry.getDefaultBody(structureId);
 
         return {
             structure,
@@ -217,11 +724,23 @@ export class ConstructionSystem {
             totalPlanned,
             techUnlocked,
             affordable,
+            defaultBody,
             atLimit: structure.limit !== null && totalPlanned >= structure.limit,
-            canBuild: techUnlocked && affordable && (structure.limit === null || totalPlanned < structure.limit),
+            canBuild: techUnlocked && affordable && defaultBody !== null &&
+                (structure.limit === null || totalPlanned < structure.limit),
         };
     }
 
+    // Progress of every item in a lane
+    getActiveConstruction() {
+        return this.getActiveItems().map((item, lane) => ({
+            item,
+            lane,
+            percent: item.progress / item.buildTime,
+            remaining: item.buildTime - item.progress,
+        }));
+    }
+
     // Get current construction progress
     getCurrentConstruction() {
         const queue = this.stateManager.getQueue();
@@ -235,6 +754,31 @@ export class ConstructionSystem {
         };
     }
 
+    // Seconds until the next queued item completes (Infinity if nothing will)
+    getTimeToNextCompletion() {
+        const queue = this.stateManager.getQueue();
+        if (queue.length === 0) return Infinity;
+
+        let time = Infinity;
+
+        const laneSpeed = this.getLaneSpeed();
+        if (laneSpeed > 0) {
+            for (const item of this.getActiveItems()) {
+                // Stalled progressive items finish only once resources come in
+                if (item.waitingFor) continue;
+                time = Math.min(time, Math.max(0, item.buildTime - item.progress) / laneSpeed);
+            }
+        }
+
+        // Auto-construction waits while the front item's unpaid cost is out of reach
+        const autoConstructionRate = this.resourceSystem.getAutoConstructionRate();
+        if (autoConstructionRate > 0 && this.resourceSystem.canAfford(this.getUnpaidCost(queue[0]))) {
+            time = Math.min(time, Math.max(0, 1 - this.autoBuildProgress) / (autoConstructionRate / 60));
+        }
+
+        return time;
+    }
+
     // Get queue
     getQueue() {
         return this.stateManager.getQueue();
@@ -255,19 +799,21 @@ export class ConstructionSystem {
         return this.stateManager.getTotalStructures();
     }
 
-    getQueuedCount(structureId) {
+    // New structures queued, at one body if given (upgrades of built ones don't count)
+    getQueuedCount(structureId, bodyId = null) {
         return this.stateManager
             .getQueue()
-            .filter(item => item.structureId === structureId)
+            .filter(item => item.structureId === structureId && item.type !== 'upgrade' &&
+                (!bodyId || item.bodyId === bodyId))
             .length;
     }
 
     // Bulk build multiple structures
-    bulkBuild(structureId, count) {
+    bulkBuild(structureId, count, options = {}) {
         const results = [];
 
         for (let i = 0; i < count; i++) {
-            const result = this.build(structureId);
+            const result = this.build(structureId, options);
             results.push(result);
 
             if (!result.success) {
@@ -3,18 +3,59 @@
 import { CONFIG } from '../config.js';
 import { getStateManager } from '../core/StateManager.js';
 import { getTimeManager } from '../core/TimeManager.js';
+import { systemClock } from '../core/Clock.js';
+import { STRUCTURES } from '../data/structures.js';
+import { TECH_TREE } from '../data/techTree.js';
+import { RESOURCES } from '../data/resources.js';
+import { getResourceSystem } from './ResourceSystem.js';
+import { getConstructionSystem } from './ConstructionSystem.js';
+import { getProgressionSystem } from './ProgressionSystem.js';
+
+// Work out how much offline time to credit between a save and now.
+// Returns null for no previous session or an absence too short to count.
+export function calculateOfflineWindow(lastSaveAt, now) {
+    if (!lastSaveAt) return null;
+
+    const elapsedSeconds = (now - lastSaveAt) / 1000;
+    if (elapsedSeconds < CONFIG.MIN_OFFLINE_SECONDS) return null;
+
+    // Cap at maximum offline time
+    const maxOfflineSeconds = CONFIG.MAX_OFFLINE_HOURS * 60 * 60;
+    const offlineSeconds = Math.min(elapsedSeconds, maxOfflineSeconds);
+
+    return {
+        offlineSeconds,
+        effectiveSeconds: offlineSeconds * CONFIG.OFFLINE_EFFICIENCY,
+        wasMaxed: elapsedSeconds >= maxOfflineSeconds,
+    };
+}
 
 export class IdleAccumulator {
-    constructor() {
-        this.stateManager = getStateManager();
-        this.timeManager = null;
+    constructor({
+        stateManager = getStateManager(),
+        clock = systemClock,
+        timeManager = null,
+        resourceSystem = null,
+        constructionSystem = null,
+        progressionSystem = null,
+    } = {}) {
+        this.stateManager = stateManager;
+        this.clock = clock;
+        this.timeManager = timeManager;
+        this.resourceSystem = resourceSystem;
+        this.constructionSystem = constructionSystem;
+        this.progressionSystem = progressionSystem;
 
         // Offline progress result (if any)
         this.offlineProgress = null;
     }
 
     init() {
-        this.timeManager = getTimeManager();
+        // Fall back to the shared systems unless others were injected
+        this.timeManager = this.timeManager || getTimeManager();
+        this.resourceSystem = this.resourceSystem || getResourceSystem();
+        this.constructionSystem = this.constructionSystem || getConstructionSystem();
+        this.progressionSystem = this.progressionSystem || getProgressionSystem();
 
         // Calculate offline progress on init
         this.calculateOfflineProgress();
@@ -22,55 +63,32 @@ export class IdleAccumulator {
         console.log('[IdleAccumulator] Initialized');
     }
 
-    // Calculate and apply offline progress
-    calculateOfflineProgress() {
+    // Calculate and apply offline progress (at most once per saved session)
+    calculateOfflineProgress(now = this.clock.now()) {
         const state = this.stateManager.getState();
 
-        // Check if there's a previous session
-        if (!state.lastSaveAt) {
+        // This save's absence has already been paid out (e.g. reloaded before the next save)
+        if (state.lastSaveAt && state.offlineSettledFor === state.lastSaveAt) {
             this.offlineProgress = null;
             return null;
         }
 
-        const now = Date.now();
-        let offlineMs = now - state.lastSaveAt;
-
-        // No significant offline time (less than 1 minute)
-        if (offlineMs < 60000) {
+        const offlineWindow = calculateOfflineWindow(state.lastSaveAt, now);
+        if (!offlineWindow) {
             this.offlineProgress = null;
             return null;
         }
 
-        // Cap at maximum offline time
-        const maxOfflineMs = CONFIG.MAX_OFFLINE_HOURS * 60 * 60 * 1000;
-        offlineMs = Math.min(offlineMs, maxOfflineMs);
-
-        const offlineSeconds = offlineMs / 1000;
-
-        // Apply offline efficiency
-        const effectiveSeconds = offlineSeconds * CONFIG.OFFLINE_EFFICIENCY;
-
-        // Calculate resource gains
-        const production = state.production;
-        const gains = {
-            energy: Math.floor(production.energy * effectiveSeconds),
-            materials: Math.floor(production.materials * effectiveSeconds),
-            research: Math.floor(production.research * effectiveSeconds),
-        };
-
-        // Apply gains
-        for (const [resource, amount] of Object.entries(gains)) {
-            if (amount > 0) {
-                this.stateManager.addResource(resource, amount);
-            }
-        }
+        // Run the economy forward over the offline window
+        const simulation = this.simulate(offlineWindow.effectiveSeconds);
+        state.offlineSettledFor = state.lastSaveAt;
 
         // Store result for UI display
         this.offlineProgress = {
-            offlineSeconds,
-            effectiveSeconds,
-            gains,
-            wasMaxed: offlineMs >= maxOfflineMs,
+            ...offlineWindow,
+            gains: simulation.gains,
+            built: simulation.built,
+            researched: simulation.researched,
         };
 
         // Emit event for UI
@@ -81,6 +99,61 @@ export class IdleAccumulator {
         return this.offlineProgress;
     }
 
+    // Advance resources, construction and research by a number of game seconds.
+    // Steps end exactly on each completion so production is recomputed before continuing.
+    simulate(seconds) {
+        const state = this.stateManager.getState();
+        const startResources = { ...state.resources };
+        const built = {};
+        const researched = [];
+
+        const unsubscribers = [
+            this.stateManager.subscribe('construction:complete', ({ item }) => {
+                if (item.type === 'upgrade') return;
+                built[item.structureId] = (built[item.structureId] || 0) + 1;
+            }),
+            this.stateManager.subscribe('research:complete', ({ techId }) => {
+                researched.push(techId);
+            }),
+        ];
+
+        let remaining = seconds;
+        let steps = 0;
+
+        try {
+            while (remaining > 0 && steps < CONFIG.OFFLINE_MAX_STEPS) {
+                const nextEvent = Math.min(
+                    this.constructionSystem.getTimeToNextCompletion(),
+                    this.progressionSystem.getTimeToNextCompletion()
+                );
+
+                // Nudge past the event so floating point error can't leave it just short
+                const step = Math.min(remaining, CONFIG.OFFLINE_MAX_STEP, nextEvent + 1e-6);
+
+                this.resourceSystem.update(step);
+                this.constructionSystem.update(step);
+                this.progressionSystem.update(step);
+
+                remaining -= step;
+                steps++;
+            }
+
+            // Out of steps: pay out whatever is left at the final rates
+            if (remaining > 0) {
+                this.resourceSystem.update(remaining);
+            }
+        } finally {
+            unsubscribers.forEach(unsubscribe => unsubscribe());
+        }
+
+        const gains = {};
+        for (const [resource, amount] of Object.entries(state.resources)) {
+            gains[resource] = Math.max(0, Math.floor(amount - (startResources[resource] || 0)));
+        }
+
+        return { gains, built, researched, steps };
+    }
+
     // Get offline progress result
     getOfflineProgress() {
         return this.offlineProgress;
@@ -95,18 +168,18 @@ export class IdleAccumulator {
     projectGains(seconds, efficiencyMultiplier = 1.0) {
         const production = this.stateManager.getState().production;
 
-        return {
-            energy: production.energy * seconds * efficiencyMultiplier,
-            materials: production.materials * seconds * efficiencyMultiplier,
-            research: production.research * seconds * efficiencyMultiplier,
-        };
+        const gains = {};
+        for (const resourceId of Object.keys(RESOURCES)) {
+            gains[resourceId] = (production[resourceId] || 0) * seconds * efficiencyMultiplier;
+        }
+        return gains;
     }
 
-    // Get formatted offline progress summary
-    getOfflineProgressSummary() {
-        if (!this.offlineProgress) return null;
+    // Get formatted offline progress summary (of the stored result unless one is given)
+    getOfflineProgressSummary(progress = this.offlineProgress) {
+        if (!progress) return null;
 
-        const { offlineSeconds, gains, wasMaxed } = this.offlineProgress;
+        const { offlineSeconds, gains, wasMaxed } = progress;
         const timeStr = this.timeManager.formatTime(offlineSeconds);
 
         let summary = `While you were away for ${timeStr}`;
@@ -115,21 +188,23 @@ export class IdleAccumulator {
         }
         summary += ':';
 
-        const gainsList = [];
-        if (gains.energy > 0) {
-            gainsList.push(`+${this.formatNumber(gains.energy)} Energy`);
-        }
-        if (gains.materials > 0) {
-            gainsList.push(`+${this.formatNumber(gains.materials)} Materials`);
-        }
-        if (gains.research > 0) {
-            gainsList.push(`+${this.formatNumber(gains.research)} Research`);
-        }
+        const gainsList = Object.values(RESOURCES)
+            .filter(resource => gains[resource.id] > 0)
+            .map(resource => `+${this.formatNumber(gains[resource.id])} ${resource.name}`);
+
+        const builtList = Object.entries(progress.built || {}).map(([structureId, count]) =>
+            `${count}x ${STRUCTURES[structureId]?.name || structureId}`
+        );
+        const researchedList = (progress.researched || []).map(techId =>
+            TECH_TREE[techId]?.name || techId
+        );
 
         return {
             title: 'Welcome Back!',
             summary,
             gains: gainsList,
+            built: builtList,
+            researched: researchedList,
         };
     }
 
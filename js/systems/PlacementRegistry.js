@@ -0,0 +1,130 @@
+// Placement Registry - Which structures sit on which celestial body, and per-body capacity
+
+import { STRUCTURES } from '../data/structures.js';
+import { getCelestialBody, getBodiesForPlacement, getPlacementBody } from '../data/planets.js';
+import { getStateManager } from '../core/StateManager.js';
+
+export class PlacementRegistry {
+    constructor({ stateManager = getStateManager() } = {}) {
+        this.stateManager = stateManager;
+    }
+
+    // Get body data by id
+    getBody(bodyId) {
+        return getCelestialBody(bodyId);
+    }
+
+    // Check if a body is reachable in the current era
+    isBodyUnlocked(bodyId) {
+        const body = this.getBody(bodyId);
+        if (!body) return false;
+        return (body.unlockEra || 1) <= this.stateManager.getState().currentEra;
+    }
+
+    // Get bodies that can host a structure (ignores capacity)
+    getValidBodies(structureId) {
+        const structure = STRUCTURES[structureId];
+        if (!structure) return [];
+        return getBodiesForPlacement(structure.placement);
+    }
+
+    // Get max structures a body can host (null = unlimited)
+    getCapacity(bodyId) {
+        const body = this.getBody(bodyId);
+        if (!body) return 0;
+        return body.capacity ?? null;
+    }
+
+    // Get slots used on a body, optionally counting queued construction
+    getUsedSlots(bodyId, includeQueued = true) {
+        const placed = Object.values(this.stateManager.getStructuresAt(bodyId))
+            .reduce((sum, count) => sum + count, 0);
+
+        if (!includeQueued) return placed;
+
+        // Upgrades convert a placed structure, so they take no extra slot
+        const queued = this.stateManager.getQueue()
+            .filter(item => item.bodyId === bodyId && item.type !== 'upgrade')
+            .length;
+
+        return placed + queued;
+    }
+
+    // Get free slots on a body (Infinity if unlimited)
+    getFreeSlots(bodyId) {
+        const capacity = this.getCapacity(bodyId);
+        if (capacity === null) return Infinity;
+        return Math.max(0, capacity - this.getUsedSlots(bodyId));
+    }
+
+    // Check if a structure can be placed on a body
+    canPlace(structureId, bodyId) {
+        const body = this.getBody(bodyId);
+        if (!body) {
+            return { success: false, reason: 'unknown_body' };
+        }
+
+        if (!this.getValidBodies(structureId).includes(body)) {
+            return { success: false, reason: 'invalid_body' };
+        }
+
+        if (!this.isBodyUnlocked(bodyId)) {
+            return { success: false, reason: 'body_locked' };
+        }
+
+        if (this.getFreeSlots(bodyId) <= 0) {
+            return { success: false, reason: 'body_full' };
+        }
+
+        return { success: true };
+    }
+
+    // Pick a body for a structure: its preferred body if free, else the first valid one with room
+    getDefaultBody(structureId) {
+        const structure = STRUCTURES[structureId];
+        if (!structure) return null;
+
+        const preferred = getPlacementBody(structure.placement);
+        if (this.canPlace(structureId, preferred).success) {
+            return preferred;
+        }
+
+        const fallback = this.getValidBodies(structureId)
+            .find(body => this.canPlace(structureId, body.id).success);
+
+        return fallback ? fallback.id : null;
+    }
+
+    // Get all placed structures as { bodyId, structureId, count } entries
+    getInstances() {
+        const instances = [];
+        const placements = this.stateManager.getState().placements;
+
+        for (const [bodyId, atBody] of Object.entries(placements)) {
+            for (const [structureId, count] of Object.entries(atBody)) {
+                if (count > 0) {
+                    instances.push({ bodyId, structureId, count });
+                }
+            }
+        }
+
+        return instances;
+    }
+
+    // Get structure counts on a body
+    getStructuresAt(bodyId) {
+        return this.stateManager.getStructuresAt(bodyId);
+    }
+}
+
+// Singleton instance
+let instance = null;
+
+export function getPlacementRegistry() {
+    if (!instance) {
+        instance = new PlacementRegistry();
+    }
+    return instance;
+}
+
+export default PlacementRegistry;
@@ -0,0 +1,138 @@
+// Prestige System - Stellar Ascension: reset to era 1 for stardust spent on permanent upgrades
+
+import { PRESTIGE_UPGRADES, calculatePrestigeGain, getPrestigeUpgradeCost, getPrestigeModifiers, canAscend } from '../data/prestige.js';
+import { getStateManager } from '../core/StateManager.js';
+
+export class PrestigeSystem {
+    constructor({ stateManager = getStateManager() } = {}) {
+        this.stateManager = stateManager;
+    }
+
+    init() {
+        // Any reset (ascension or Reset Game) starts with the purchased bonuses
+        this.stateManager.subscribe('state:reset', () => this.applyStartingBonuses());
+
+        console.log('[PrestigeSystem] Initialized');
+    }
+
+    // Get persistent prestige state
+    getPrestige() {
+        return this.stateManager.getState().prestige;
+    }
+
+    // Get purchased level of an upgrade
+    getUpgradeLevel(upgradeId) {
+        return this.getPrestige().upgrades[upgradeId] || 0;
+    }
+
+    // Get combined modifiers from purchased upgrades
+    getModifiers() {
+        return getPrestigeModifiers(this.getPrestige().upgrades);
+    }
+
+    // Stardust that ascending right now would award
+    getPendingGain() {
+        const state = this.stateManager.getState();
+        return calculatePrestigeGain(state.solarCapture, state.stats);
+    }
+
+    // Check whether ascending is allowed
+    canAscend() {
+        const state = this.stateManager.getState();
+
+        if (!canAscend(state.currentEra, state.flags.victoryAchieved)) {
+            return { success: false, reason: 'too_early' };
+        }
+
+        if (this.getPendingGain() <= 0) {
+            return { success: false, reason: 'no_gain' };
+        }
+
+        return { success: true };
+    }
+
+    // Reset the run to era 1 and bank stardust (caller saves and reloads)
+    ascend() {
+        const check = this.canAscend();
+        if (!check.success) return check;
+
+        const gain = this.getPendingGain();
+        const prestige = this.getPrestige();
+
+        prestige.currency += gain;
+        prestige.totalEarned += gain;
+        prestige.ascensions++;
+
+        // StateManager.reset keeps the prestige block; starting bonuses apply via state:reset
+        this.stateManager.reset();
+
+        this.stateManager.emit('prestige:ascend', { gain, ascensions: prestige.ascensions });
+        console.log('[PrestigeSystem] Ascended for', gain, 'stardust');
+
+        return { success: true, gain };
+    }
+
+    // Get upgrade status for the UI
+    getUpgradeStatus(upgradeId) {
+        const upgrade = PRESTIGE_UPGRADES[upgradeId];
+        if (!upgrade) return null;
+
+        const level = this.getUpgradeLevel(upgradeId);
+        const cost = getPrestigeUpgradeCost(upgradeId, level);
+
+        return {
+            upgrade,
+            level,
+            cost,
+            maxed: cost === null,
+            affordable: cost !== null && this.getPrestige().currency >= cost,
+        };
+    }
+
+    // Buy the next level of an upgrade
+    buyUpgrade(upgradeId) {
+        const status = this.getUpgradeStatus(upgradeId);
+        if (!status) {
+            return { success: false, reason: 'unknown_upgrade' };
+        }
+
+        if (status.maxed) {
+            return { success: false, reason: 'max_level' };
+        }
+
+        if (!status.affordable) {
+            return { success: false, reason: 'cannot_afford' };
+        }
+
+        const prestige = this.getPrestige();
+        prestige.currency -= status.cost;
+        prestige.upgrades[upgradeId] = status.level + 1;
+
+        this.stateManager.emit('prestige:upgrade', { upgradeId, level: status.level + 1 });
+        console.log('[PrestigeSystem] Bought', status.upgrade.name, 'level', status.level + 1);
+
+        return { success: true, level: status.level + 1 };
+    }
+
+    // Add purchased starting resources to a fresh run
+    applyStartingBonuses() {
+        const { startingResources } = this.getModifiers();
+        const resources = this.stateManager.getState().resources;
+
+        for (const [resource, amount] of Object.entries(startingResources)) {
+            resources[resource] = (resources[resource] || 0) + amount;
+        }
+    }
+}
+
+// Singleton instance
+let instance = null;
+
+export function getPrestigeSystem() {
+    if (!instance) {
+        instance = new PrestigeSystem();
+    }
+    return instance;
+}
+
+export default PrestigeSystem;
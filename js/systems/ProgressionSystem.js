@@ -1,36 +1,41 @@
 // Progression System - Tech tree, eras, and milestones
 
 import { CONFIG } from '../config.js';
-import { TECH_TREE, getAvailableTechs } from '../data/techTree.js';
+import { TECH_TREE, getAvailableTechs, getTechUpfrontCost, getPrerequisitePath } from '../data/techTree.js';
 import { MILESTONES, checkMilestoneCondition, getNewlyAchievedMilestones } from '../data/milestones.js';
+import { getPrestigeModifiers } from '../data/prestige.js';
+import { collectTechEffects } from '../data/effects.js';
+import { getResearchStrategy } from '../data/researchStrategies.js';
 import { getStateManager } from '../core/StateManager.js';
 
 export class ProgressionSystem {
-    constructor() {
-        this.stateManager = getStateManager();
+    constructor({ stateManager = getStateManager() } = {}) {
+        this.stateManager = stateManager;
 
         // Research queue support
         this.researchQueue = []; // Array of techIds being researched
         this.researchProgressMap = {}; // techId -> progress
+        this.pendingResearch = []; // Ordered techIds waiting for a free slot
+        this.researchWeights = {}; // techId -> allocation weight (default 1)
+        this.researchFocus = null; // techId receiving all research, or null
     }
 
     init() {
         const state = this.stateManager.getState();
 
-        // Restore research state (support both legacy and new format)
-        if (state.researchQueue && state.researchQueue.length > 0) {
-            this.researchQueue = [...state.researchQueue];
-            this.researchProgressMap = { ...state.researchProgressMap };
-        } else if (state.currentResearch) {
-            // Migrate legacy single research to queue
-            this.researchQueue = [state.currentResearch];
-            this.researchProgressMap = { [state.currentResearch]: state.researchProgress || 0 };
-        }
+        // Restore research state (legacy single-research saves are migrated by SaveSystem)
+        this.researchQueue = [...(state.researchQueue || [])];
+        this.researchProgressMap = { ...(state.researchProgressMap || {}) };
+        this.pendingResearch = [...(state.pendingResearch || [])];
+        this.researchWeights = { ...(state.researchWeights || {}) };
+        this.researchFocus = this.researchQueue.includes(state.researchFocus) ? state.researchFocus : null;
+        this.prunePendingResearch();
 
         // Listen for state changes to check milestones
         this.stateManager.subscribe('structure:built', () => this.checkMilestones());
         this.stateManager.subscribe('research:complete', () => {
             this.checkMilestones();
+            this.promotePendingResearch();
             this.tryAutoResearch();
         });
         this.stateManager.subscribe('solar:capture', () => this.checkMilestones());
@@ -51,6 +56,9 @@ export class ProgressionSystem {
         // Check for era progression based on solar capture
         this.checkEraProgression();
 
+        // Fill free slots from the pending queue (upfront costs may have become affordable)
+        this.promotePendingResearch();
+
         // Try auto-research if enabled
         this.tryAutoResearch();
     }
@@ -83,7 +91,7 @@ export class ProgressionSystem {
 
         // Check if we have available research slots
         const state = this.stateManager.getState();
-        const maxSlots = state.maxResearchSlots || 1;
+        const maxSlots = this.getMaxResearchSlots();
         if (this.researchQueue.length >= maxSlots) {
             this.stateManager.emit('notification', {
                 type: 'warning',
@@ -94,7 +102,24 @@ export class ProgressionSystem {
             return false;
         }
 
-        // Start research
+        // Pay non-research costs (population, antimatter, ...) up front
+        const upfrontCost = getTechUpfrontCost(tech);
+        if (!this.stateManager.canAfford(upfrontCost)) {
+            this.stateManager.emit('notification', {
+                type: 'warning',
+                title: 'Insufficient Resources',
+                message: `${tech.name} needs more resources to start.`,
+                duration: 3000,
+            });
+            return false;
+        }
+
+        for (const [resource, amount] of Object.entries(upfrontCost)) {
+            this.stateManager.spendResource(resource, amount);
+        }
+
+        // Start research (leaving the pending queue if it was waiting there)
+        this.pendingResearch = this.pendingResearch.filter(id => id !== techId);
         this.researchQueue.push(techId);
         this.researchProgressMap[techId] = 0;
 
@@ -107,7 +132,8 @@ export class ProgressionSystem {
         return true;
     }
 
-    // Progress all researching items
+    // Progress all researching items. Points a tech can't use once it completes flow on to the
+    // other active techs (including any promoted into the freed slot) rather than being lost.
     progressAllResearch(deltaTime) {
         if (this.researchQueue.length === 0) return;
 
@@ -116,42 +142,122 @@ export class ProgressionSystem {
 
         if (totalResearchRate <= 0) return;
 
-        // Divide research rate among all active researches
-        const perItemRate = totalResearchRate / this.researchQueue.length;
+        let budget = totalResearchRate * deltaTime;
 
-        // Process research queue (iterate backwards for safe removal)
-        const completed = [];
-        for (const techId of this.researchQueue) {
-            const tech = TECH_TREE[techId];
-            if (!tech) continue;
+        // Each pass spends the budget by allocation; only completions leave a surplus for another pass
+        for (let pass = 0; pass < 10 && budget > 1e-9 && this.researchQueue.length > 0; pass++) {
+            const allocation = this.getResearchAllocation();
+            const completed = [];
+            let spent = 0;
 
-            // Add research progress
-            this.researchProgressMap[techId] = (this.researchProgressMap[techId] || 0) + perItemRate * deltaTime;
+            for (const techId of this.researchQueue) {
+                const tech = TECH_TREE[techId];
+                if (!tech || !allocation[techId]) continue;
 
-            // Check if complete
-            const cost = tech.cost.research;
-            if (this.researchProgressMap[techId] >= cost) {
-                completed.push(techId);
-            } else {
-                // Emit progress event
-                this.stateManager.emit('research:progress', {
-                    techId,
-                    progress: this.researchProgressMap[techId],
-                    total: cost,
-                    percent: this.researchProgressMap[techId] / cost,
-                });
+                const cost = tech.cost.research;
+                const progress = this.researchProgressMap[techId] || 0;
+                const gain = Math.min(budget * allocation[techId], cost - progress);
+
+                this.researchProgressMap[techId] = progress + gain;
+                spent += gain;
+
+                if (this.researchProgressMap[techId] >= cost) {
+                    completed.push(techId);
+                } else {
+                    // Emit progress event
+                    this.stateManager.emit('research:progress', {
+                        techId,
+                        progress: this.researchProgressMap[techId],
+                        total: cost,
+                        percent: this.researchProgressMap[techId] / cost,
+                    });
+                }
             }
-        }
 
-        // Complete finished research
-        for (const techId of completed) {
-            this.completeResearch(techId);
+            budget -= spent;
+
+            // Complete finished research (freed slots are refilled from the queue)
+            for (const techId of completed) {
+                this.completeResearch(techId);
+            }
+
+            if (completed.length === 0) break;
         }
 
         // Sync with state
         this.syncStateWithQueue();
     }
 
+    // Share of research production each active tech receives (shares sum to 1).
+    // Focus gives one tech everything; otherwise weights are normalized, splitting evenly if all are 0.
+    getResearchAllocation() {
+        const allocation = {};
+        if (this.researchQueue.length === 0) return allocation;
+
+        if (this.researchFocus && this.researchQueue.includes(this.researchFocus)) {
+            for (const techId of this.researchQueue) {
+                allocation[techId] = techId === this.researchFocus ? 1 : 0;
+            }
+            return allocation;
+        }
+
+        const totalWeight = this.researchQueue.reduce((sum, techId) => sum + this.getResearchWeight(techId), 0);
+        for (const techId of this.researchQueue) {
+            allocation[techId] = totalWeight > 0
+                ? this.getResearchWeight(techId) / totalWeight
+                : 1 / this.researchQueue.length;
+        }
+
+        return allocation;
+    }
+
+    // Allocation weight of an active tech
+    getResearchWeight(techId) {
+        return this.researchWeights[techId] ?? 1;
+    }
+
+    // Set an active tech's allocation weight (0 idles it)
+    setResearchWeight(techId, weight) {
+        if (!this.researchQueue.includes(techId) || !Number.isFinite(weight) || weight < 0) return false;
+
+        this.researchWeights[techId] = weight;
+        this.syncStateWithQueue();
+
+        this.stateManager.emit('research:allocation', { allocation: this.getResearchAllocation() });
+        return true;
+    }
+
+    // Put all research into one active tech, or pass null to go back to weights
+    setResearchFocus(techId) {
+        if (techId !== null && !this.researchQueue.includes(techId)) return false;
+
+        this.researchFocus = techId;
+        this.syncStateWithQueue();
+
+        this.stateManager.emit('research:allocation', { allocation: this.getResearchAllocation() });
+        return true;
+    }
+
+    // Seconds until the next active research completes (Infinity if nothing will)
+    getTimeToNextCompletion() {
+        if (this.researchQueue.length === 0) return Infinity;
+
+        const totalResearchRate = this.stateManager.getState().production.research;
+        if (totalResearchRate <= 0) return Infinity;
+
+        const allocation = this.getResearchAllocation();
+
+        let time = Infinity;
+        for (const techId of this.researchQueue) {
+            const tech = TECH_TREE[techId];
+            if (!tech || !allocation[techId]) continue;
+            const remaining = tech.cost.research - (this.researchProgressMap[techId] || 0);
+            time = Math.min(time, Math.max(0, remaining) / (totalResearchRate * allocation[techId]));
+        }
+
+        return time;
+    }
+
     // Complete research
     completeResearch(techId) {
         const tech = TECH_TREE[techId];
@@ -163,6 +269,7 @@ export class ProgressionSystem {
             this.researchQueue.splice(index, 1);
         }
         delete this.researchProgressMap[techId];
+        this.clearAllocation(techId);
 
         // Mark as completed in state
         this.stateManager.completeResearch(techId);
@@ -172,14 +279,10 @@ export class ProgressionSystem {
 
         console.log('[ProgressionSystem] Completed research:', tech.name);
 
-        // Apply special effects
-        if (tech.effects) {
-            // Grant additional research slots
-            if (tech.effects.researchSlots) {
-                for (let i = 0; i < tech.effects.researchSlots; i++) {
-                    this.addResearchSlot();
-                }
-            }
+        // Apply stateful effects (production modifiers are derived by ResourceSystem)
+        const { modifiers } = collectTechEffects([techId]);
+        for (let i = 0; i < modifiers.researchSlots; i++) {
+            this.addResearchSlot();
         }
 
         // Show notification for unlocks
@@ -211,6 +314,15 @@ export class ProgressionSystem {
 
         this.researchQueue.splice(index, 1);
         delete this.researchProgressMap[techId];
+        this.clearAllocation(techId);
+
+        // Refund the up-front cost
+        for (const [resource, amount] of Object.entries(getTechUpfrontCost(TECH_TREE[techId]))) {
+            this.stateManager.addResource(resource, amount);
+        }
+
+        // Queued techs that needed this one can no longer start
+        this.prunePendingResearch();
 
         // Sync with state
         this.syncStateWithQueue();
@@ -219,15 +331,178 @@ export class ProgressionSystem {
         return true;
     }
 
+    // Forget a tech's weight and focus once it leaves its slot
+    clearAllocation(techId) {
+        delete this.researchWeights[techId];
+        if (this.researchFocus === techId) {
+            this.researchFocus = null;
+        }
+    }
+
+    // Start a tech now if a slot is free, otherwise add it to the pending queue.
+    // Techs whose prerequisites are researching or queued are accepted and wait their turn.
+    queueResearch(techId) {
+        const tech = TECH_TREE[techId];
+        if (!tech) {
+            console.error('[ProgressionSystem] Unknown tech:', techId);
+            return false;
+        }
+
+        if (this.stateManager.isResearched(techId) ||
+            this.researchQueue.includes(techId) ||
+            this.pendingResearch.includes(techId)) {
+            return false;
+        }
+
+        const planned = new Set([...this.researchQueue, ...this.pendingResearch]);
+        const missing = tech.prerequisites.filter(prereq => !this.stateManager.isResearched(prereq) && !planned.has(prereq));
+        if (missing.length > 0) {
+            this.stateManager.emit('notification', {
+                type: 'warning',
+                title: 'Cannot Queue Research',
+                message: `Queue ${missing.map(id => TECH_TREE[id]?.name || id).join(', ')} first.`,
+                duration: 3000,
+            });
+            return false;
+        }
+
+        if (this.canStartNow(tech)) {
+            return this.startResearch(techId);
+        }
+
+        this.pendingResearch.push(techId);
+        this.syncStateWithQueue();
+
+        this.stateManager.emit('research:queue', { queue: [...this.pendingResearch] });
+        console.log('[ProgressionSystem] Queued research:', tech.name);
+
+        return true;
+    }
+
+    // Remove a tech from the pending queue (along with queued techs that depended on it)
+    dequeueResearch(techId) {
+        const index = this.pendingResearch.indexOf(techId);
+        if (index === -1) return false;
+
+        this.pendingResearch.splice(index, 1);
+        this.prunePendingResearch();
+        this.syncStateWithQueue();
+
+        this.stateManager.emit('research:queue', { queue: [...this.pendingResearch] });
+        return true;
+    }
+
+    // Move a pending tech to a new position in the queue
+    moveQueuedResearch(techId, toIndex) {
+        const index = this.pendingResearch.indexOf(techId);
+        if (index === -1) return false;
+
+        this.pendingResearch.splice(index, 1);
+        const target = Math.max(0, Math.min(toIndex, this.pendingResearch.length));
+        this.pendingResearch.splice(target, 0, techId);
+        this.syncStateWithQueue();
+
+        this.stateManager.emit('research:queue', { queue: [...this.pendingResearch] });
+        return true;
+    }
+
+    // Whether a tech could take a slot right now
+    canStartNow(tech) {
+        return this.researchQueue.length < this.getMaxResearchSlots() &&
+            this.stateManager.canResearch(tech.id) &&
+            this.stateManager.canAfford(getTechUpfrontCost(tech));
+    }
+
+    // Start pending techs, in queue order, while slots are free. Techs still waiting on a
+    // prerequisite or an upfront cost are skipped, keeping their place in the queue.
+    promotePendingResearch() {
+        let promoted = false;
+
+        for (const techId of [...this.pendingResearch]) {
+            if (this.researchQueue.length >= this.getMaxResearchSlots()) break;
+
+            const tech = TECH_TREE[techId];
+            if (tech && this.canStartNow(tech)) {
+                promoted = this.startResearch(techId) || promoted;
+            }
+        }
+
+        if (promoted) {
+            this.stateManager.emit('research:queue', { queue: [...this.pendingResearch] });
+        }
+    }
+
+    // Drop pending techs that are unknown, already researched, or whose prerequisites are
+    // no longer researched, researching or queued
+    prunePendingResearch() {
+        let changed = true;
+        while (changed) {
+            const planned = new Set([...this.researchQueue, ...this.pendingResearch]);
+            const kept = this.pendingResearch.filter(techId => {
+                const tech = TECH_TREE[techId];
+                return tech && !this.stateManager.isResearched(techId) && !this.researchQueue.includes(techId) &&
+                    tech.prerequisites.every(prereq => this.stateManager.isResearched(prereq) || planned.has(prereq));
+            });
+            changed = kept.length !== this.pendingResearch.length;
+            this.pendingResearch = kept;
+        }
+    }
+
+    // What reaching a tech takes: every unresearched tech on the way (in research order), the ones
+    // not yet researching or queued, and the remaining research points and time at the current rate
+    getResearchPlan(techId) {
+        const state = this.stateManager.getState();
+        const path = getPrerequisitePath(techId, state.completedResearch);
+        const toQueue = path.filter(id => !this.researchQueue.includes(id) && !this.pendingResearch.includes(id));
+
+        const remaining = path.reduce((sum, id) =>
+            sum + Math.max(0, TECH_TREE[id].cost.research - (this.researchProgressMap[id] || 0)), 0);
+        const rate = state.production.research;
+
+        return {
+            techId,
+            path,
+            toQueue,
+            remaining,
+            eta: remaining <= 0 ? 0 : rate > 0 ? remaining / rate : Infinity,
+        };
+    }
+
+    // Queue every missing prerequisite of a tech, then the tech itself
+    researchTowards(techId) {
+        const tech = TECH_TREE[techId];
+        if (!tech || this.stateManager.isResearched(techId)) return false;
+
+        const plan = this.getResearchPlan(techId);
+        if (plan.toQueue.length === 0) return false;
+
+        for (const id of plan.toQueue) {
+            if (!this.queueResearch(id)) return false;
+        }
+
+        this.stateManager.emit('notification', {
+            type: 'success',
+            title: 'Research Planned',
+            message: `${plan.toQueue.length} tech${plan.toQueue.length > 1 ? 's' : ''} queued towards ${tech.name}.`,
+            duration: 3000,
+        });
+
+        return true;
+    }
+
+    // Get the pending queue in order
+    getPendingResearch() {
+        return [...this.pendingResearch];
+    }
+
     // Sync local state with StateManager
     syncStateWithQueue() {
         const state = this.stateManager.state;
         state.researchQueue = [...this.researchQueue];
         state.researchProgressMap = { ...this.researchProgressMap };
-
-        // Legacy compatibility
-        state.currentResearch = this.researchQueue[0] || null;
-        state.researchProgress = this.researchProgressMap[this.researchQueue[0]] || 0;
+        state.pendingResearch = [...this.pendingResearch];
+        state.researchWeights = { ...this.researchWeights };
+        state.researchFocus = this.researchFocus;
     }
 
     // Try to auto-queue next available research
@@ -235,19 +510,57 @@ export class ProgressionSystem {
         const state = this.stateManager.getState();
         if (!state.autoResearch) return;
 
-        const maxSlots = state.maxResearchSlots || 1;
+        const maxSlots = this.getMaxResearchSlots();
         if (this.researchQueue.length >= maxSlots) return;
 
+        // The player's own queue goes first
+        if (this.pendingResearch.length > 0) return;
+
         // Get available techs not already in queue
         const availableTechs = this.getAvailableTechs().filter(
-            tech => !this.researchQueue.includes(tech.id)
+            tech => !this.researchQueue.includes(tech.id) &&
+                this.stateManager.canAfford(getTechUpfrontCost(tech))
         );
 
         if (availableTechs.length === 0) return;
 
-        // Pick the first available (lowest era, prerequisites met)
-        const nextTech = availableTechs[0];
-        this.startResearch(nextTech.id);
+        const strategy = getResearchStrategy(state.settings.autoResearchStrategy);
+        const choice = strategy.choose(availableTechs, {
+            completedResearch: state.completedResearch,
+            currentEra: state.currentEra,
+            energySupply: state.power?.supply || 0,
+            priorityList: state.settings.researchPriority || [],
+        });
+        if (!choice || !this.startResearch(choice.tech.id)) return;
+
+        this.stateManager.emit('notification', {
+            type: 'success',
+            title: `Auto-Research: ${choice.tech.name}`,
+            message: `${strategy.name}: ${choice.rationale}.`,
+            duration: 4000,
+        });
+    }
+
+    // Choose the auto-research strategy (see researchStrategies.js)
+    setAutoResearchStrategy(strategyId) {
+        this.stateManager.setSetting('autoResearchStrategy', getResearchStrategy(strategyId).id);
+        this.tryAutoResearch();
+    }
+
+    // Add a tech to the end of the priority list, or remove it if already listed
+    togglePriority(techId) {
+        if (!TECH_TREE[techId]) return false;
+
+        const list = [...(this.stateManager.getSetting('researchPriority') || [])];
+        const index = list.indexOf(techId);
+        if (index > -1) {
+            list.splice(index, 1);
+        } else {
+            list.push(techId);
+        }
+
+        this.stateManager.setSetting('researchPriority', list);
+        return true;
     }
 
     // Toggle auto-research
@@ -259,13 +572,19 @@ export class ProgressionSystem {
         }
     }
 
+    // Research slots from techs plus prestige upgrades
+    getMaxResearchSlots() {
+        const state = this.stateManager.getState();
+        return (state.maxResearchSlots || 1) + getPrestigeModifiers(state.prestige?.upgrades).researchSlots;
+    }
+
     // Increase research slots (called when certain techs are completed)
     addResearchSlot() {
         this.stateManager.state.maxResearchSlots = (this.stateManager.state.maxResearchSlots || 1) + 1;
         this.stateManager.emit('notification', {
             type: 'success',
             title: 'Research Capacity Increased!',
-            message: `You can now research ${this.stateManager.state.maxResearchSlots} technologies simultaneously.`,
+            message: `You can now research ${this.getMaxResearchSlots()} technologies simultaneously.`,
             duration: 5000,
         });
     }
@@ -1,13 +1,42 @@
 // Resource System - Manages energy, materials, and research production
 
 import { CONFIG } from '../config.js';
-import { STRUCTURES } from '../data/structures.js';
+import { STRUCTURES, getEnergyUpkeep, getPowerPriority, getStructureTier } from '../data/structures.js';
+import { SECONDARY_RESOURCE_IDS } from '../data/resources.js';
 import { TECH_TREE } from '../data/techTree.js';
+import { collectTechEffects } from '../data/effects.js';
+import { getCelestialBody, getBodyBonusMultiplier } from '../data/planets.js';
 import { getStateManager } from '../core/StateManager.js';
+import { getPlacementRegistry } from './PlacementRegistry.js';
+import { getPrestigeModifiers } from '../data/prestige.js';
+
+// Build one waterfall group of the production breakdown: sources are summed, then
+// multipliers apply in order, each step recording how much it added
+function buildBreakdownGroup(id, label, sources, multipliers = []) {
+    const subtotal = sources.reduce((sum, source) => sum + source.amount, 0);
+    let running = subtotal;
+
+    const steps = multipliers.filter(multiplier => multiplier.factor !== 1).map(multiplier => {
+        const next = running * multiplier.factor;
+        const step = { ...multiplier, amount: next - running };
+        running = next;
+        return step;
+    });
+
+    return {
+        id,
+        label,
+        sources: sources.filter(source => source.amount !== 0),
+        subtotal,
+        multipliers: steps,
+        total: running,
+    };
+}
 
 export class ResourceSystem {
-    constructor() {
-        this.stateManager = getStateManager();
+    constructor({ stateManager = getStateManager(), placementRegistry = getPlacementRegistry() } = {}) {
+        this.stateManager = stateManager;
+        this.placementRegistry = placementRegistry;
 
         // Production modifiers
         this.modifiers = {
@@ -20,19 +49,27 @@ export class ResourceSystem {
         this.logistics = {
             launchCapacity: 0,
             cargoCapacity: 0,
-            population: 0,
             autoConstruction: 0,
             energyEfficiency: 0,
             dysonBonus: 1,
-            exoticMaterials: 0,
-            antimatter: 0,
             energyStorage: 0,
-            solarMatter: 0,
-            computation: 0,
         };
+
+        // Structure output per celestial body (see recalculateProduction)
+        this.bodyBreakdown = {};
+
+        // Per-resource waterfall of every source and multiplier (see getProductionBreakdown)
+        this.productionBreakdown = {};
+
+        // Brownout state: while storage is empty, consumers are powered by priority
+        this.brownout = false;
+        this.powerAllocation = {}; // priority -> powered fraction (missing = fully powered)
     }
 
     init() {
+        // Resume a brownout that was in progress when the game was saved
+        this.brownout = Boolean(this.stateManager.getState().power?.brownout);
+
         // Calculate initial production rates
         this.recalculateProduction();
 
@@ -40,12 +77,23 @@ export class ResourceSystem {
         this.stateManager.subscribe('structure:built', () => {
             this.recalculateProduction();
         });
+        this.stateManager.subscribe('structure:removed', () => {
+            this.recalculateProduction();
+        });
+        this.stateManager.subscribe('structure:upgraded', () => {
+            this.recalculateProduction();
+        });
 
         // Listen for research completion
         this.stateManager.subscribe('research:complete', () => {
             this.recalculateProduction();
         });
 
+        // Prestige upgrades change production and build speed
+        this.stateManager.subscribe('prestige:upgrade', () => {
+            this.recalculateProduction();
+        });
+
         console.log('[ResourceSystem] Initialized');
     }
 
@@ -54,11 +102,11 @@ export class ResourceSystem {
         const state = this.stateManager.getState();
         const production = state.production;
 
-        // Generate resources
-        if (production.energy > 0) {
+        // Net energy (supply minus upkeep); storage is clamped between empty and capacity
+        if (production.energy !== 0) {
             this.stateManager.addResource('energy', production.energy * deltaTime);
-            this.stateManager.state.stats.totalEnergyGenerated += production.energy * deltaTime;
         }
+        this.stateManager.state.stats.totalEnergyGenerated += state.power.supply * deltaTime;
 
         if (production.materials > 0) {
             this.stateManager.addResource('materials', production.materials * deltaTime);
@@ -68,12 +116,79 @@ export class ResourceSystem {
         if (production.research > 0) {
             this.stateManager.addResource('research', production.research * deltaTime);
         }
+
+        for (const resource of SECONDARY_RESOURCE_IDS) {
+            if (production[resource] > 0) {
+                this.stateManager.addResource(resource, production[resource] * deltaTime);
+            }
+        }
+
+        this.checkBrownout();
+    }
+
+    // Enter a brownout when storage runs dry at a deficit; leave once storage recovers
+    checkBrownout() {
+        const state = this.stateManager.getState();
+        const stored = state.resources.energy;
+
+        if (!this.brownout && stored <= 0 && state.production.energy < 0) {
+            this.setBrownout(true);
+        } else if (this.brownout && stored >= state.capacity.energy * CONFIG.BROWNOUT_RECOVERY) {
+            this.setBrownout(false);
+        }
+    }
+
+    // Switch brownout mode and re-balance the grid
+    setBrownout(active) {
+        this.brownout = active;
+        if (!active) {
+            this.powerAllocation = {};
+        }
+
+        this.recalculateProduction();
+        this.stateManager.emit('power:brownout', { active, allocation: this.powerAllocation });
+
+        if (active) {
+            this.stateManager.emit('notification', {
+                type: 'warning',
+                title: 'Brownout',
+                message: 'Energy demand exceeds supply. Low-priority structures are running at reduced output.',
+                duration: 6000,
+            });
+        }
+    }
+
+    // Share supply across priority groups, highest priority (lowest number) first
+    allocatePower(supply, demandByPriority) {
+        const allocation = {};
+        let available = supply;
+
+        const priorities = Object.keys(demandByPriority).map(Number).sort((a, b) => a - b);
+        for (const priority of priorities) {
+            const demand = demandByPriority[priority];
+            const fraction = demand > 0 ? Math.max(0, Math.min(1, available / demand)) : 1;
+            allocation[priority] = fraction;
+            available -= demand * fraction;
+        }
+
+        return allocation;
+    }
+
+    // Placed structures split by tier: { bodyId, structureId, tier, count }
+    getTierInstances() {
+        const instances = [];
+        for (const { bodyId, structureId } of this.placementRegistry.getInstances()) {
+            for (const [tier, count] of Object.entries(this.stateManager.getTierCountsAt(bodyId, structureId))) {
+                instances.push({ bodyId, structureId, tier: Number(tier), count });
+            }
+        }
+        return instances;
     }
 
     // Recalculate all production rates based on structures
-    recalculateProduction() {
+    recalculateProduction(reallocated = false) {
         const state = this.stateManager.getState();
-        const structures = state.structures;
+        const instances = this.getTierInstances();
 
         // Start with base production
         let energy = CONFIG.BASE_PRODUCTION.energy;
@@ -95,63 +210,110 @@ export class ResourceSystem {
         let solarMatter = 0;
         let computation = 0;
 
-        // Add production from each structure type
-        for (const [structureId, count] of Object.entries(structures)) {
-            if (count <= 0) continue;
+        // Energy upkeep: full demand per priority, and the draw of what is actually powered
+        const demandByPriority = {};
+        let powerDraw = 0;
+
+        // Per-body attribution of structure output (before global modifiers)
+        const bodyBreakdown = {};
 
-            const structureDef = STRUCTURES[structureId];
+        // Breakdown inputs: raw structure output and body bonus output per group, upkeep per structure
+        const structureOutput = {}; // group -> structureId -> { count, amount }
+        const bonusOutput = {}; // group -> bodyId -> amount
+        const upkeepByStructure = {}; // structureId -> { count, amount }
+
+        // Add production from each structure type and tier on each body
+        for (const { bodyId, structureId, tier, count } of instances) {
+            const structureDef = getStructureTier(STRUCTURES[structureId], tier);
             if (!structureDef || !structureDef.production) continue;
 
             const prod = structureDef.production;
+            const bodyEntry = this.getBodyBreakdownEntry(bodyBreakdown, bodyId);
+            bodyEntry.structures[structureId] = (bodyEntry.structures[structureId] || 0) + count;
+
+            // Consumers only produce in proportion to the power they receive
+            const upkeep = getEnergyUpkeep(structureDef);
+            const powered = upkeep > 0 ? (this.powerAllocation[getPowerPriority(structureDef)] ?? 1) : 1;
+            if (upkeep > 0) {
+                const priority = getPowerPriority(structureDef);
+                demandByPriority[priority] = (demandByPriority[priority] || 0) + upkeep * count;
+                powerDraw += upkeep * count * powered;
+
+                const entry = upkeepByStructure[structureId] || (upkeepByStructure[structureId] = { count: 0, amount: 0 });
+                entry.count += count;
+                entry.amount += upkeep * count * powered;
+            }
+
+            // Output of this structure type at its body, with body bonuses applied (storage is never throttled)
+            const output = (key, group = key) => {
+                const bonus = getBodyBonusMultiplier(bodyId, key);
+                const activeCount = key === 'energyStorage' ? count : count * powered;
+                const raw = prod[key] * activeCount;
+                const amount = raw * bonus;
+                if (bonus !== 1) {
+                    bodyEntry.bonuses[key] = bonus;
+                }
+                bodyEntry.production[key] = (bodyEntry.production[key] || 0) + amount;
+
+                const groupOutput = structureOutput[group] || (structureOutput[group] = {});
+                const entry = groupOutput[structureId] || (groupOutput[structureId] = { count: 0, amount: 0 });
+                entry.count += count;
+                entry.amount += raw;
+                if (amount !== raw) {
+                    const groupBonus = bonusOutput[group] || (bonusOutput[group] = {});
+                    groupBonus[bodyId] = (groupBonus[bodyId] || 0) + amount - raw;
+                }
+                return amount;
+            };
 
             // Add energy production
             if (prod.energy) {
                 if (prod.solarCapture) {
-                    energyFromDyson += prod.energy * count;
+                    energyFromDyson += output('energy', 'dysonEnergy');
                 } else {
-                    energy += prod.energy * count;
+                    energy += output('energy');
                 }
             }
 
             // Add materials production
             if (prod.materials) {
-                materials += prod.materials * count;
+                materials += output('materials');
             }
 
             // Add research production
             if (prod.research) {
-                research += prod.research * count;
+                research += output('research');
             }
 
             // Add build speed bonus
             if (prod.buildSpeedBonus) {
-                buildSpeedBonus += prod.buildSpeedBonus * count;
+                buildSpeedBonus += output('buildSpeedBonus');
             }
 
             // Add solar capture
             if (prod.solarCapture) {
-                solarCapture += prod.solarCapture * count;
+                solarCapture += output('solarCapture');
             }
 
             // Logistics/auxiliary production
             if (prod.launchCapacity) {
-                launchCapacity += prod.launchCapacity * count;
+                launchCapacity += output('launchCapacity');
             }
 
             if (prod.cargoCapacity) {
-                cargoCapacity += prod.cargoCapacity * count;
+                cargoCapacity += output('cargoCapacity');
             }
 
             if (prod.population) {
-                population += prod.population * count;
+                population += output('population');
             }
 
             if (prod.autoConstruction) {
-                autoConstruction += prod.autoConstruction * count;
+                autoConstruction += output('autoConstruction');
             }
 
             if (prod.energyEfficiency) {
-                energyEfficiency += prod.energyEfficiency * count;
+                energyEfficiency += output('energyEfficiency');
             }
 
             if (prod.dysonBonus) {
@@ -159,86 +321,238 @@ export class ResourceSystem {
             }
 
             if (prod.exoticMaterials) {
-                exoticMaterials += prod.exoticMaterials * count;
+                exoticMaterials += output('exoticMaterials');
             }
 
             if (prod.antimatter) {
-                antimatter += prod.antimatter * count;
+                antimatter += output('antimatter');
             }
 
             if (prod.energyStorage) {
-                energyStorage += prod.energyStorage * count;
+                energyStorage += output('energyStorage');
             }
 
             if (prod.solarMatter) {
-                solarMatter += prod.solarMatter * count;
+                solarMatter += output('solarMatter');
             }
 
             if (prod.computation) {
-                computation += prod.computation * count;
+                computation += output('computation');
             }
         }
 
         const techModifiers = this.getTechModifiers(state.completedResearch || []);
-        const cargoMultiplier = 1 + cargoCapacity / 1000;
-        const populationMultiplier = 1 + population / 10000;
+        const prestigeModifiers = getPrestigeModifiers(state.prestige?.upgrades);
+        const cargoMultiplier = 1 + cargoCapacity * techModifiers.cargo / 1000;
         const energyEfficiencyMultiplier = 1 + energyEfficiency;
-        const exoticMaterialMultiplier = 1 + exoticMaterials * 0.02;
-        const antimatterMultiplier = 1 + antimatter * 0.1;
-        const storageMultiplier = 1 + energyStorage / 100000;
-        const solarMatterMultiplier = 1 + solarMatter * 0.005;
-        const computationMultiplier = 1 + computation / 1000000 * 0.25;
 
         // Apply modifiers
-        const energyModifier = this.modifiers.energy * techModifiers.energy * energyEfficiencyMultiplier * antimatterMultiplier * storageMultiplier;
-        const materialsModifier = this.modifiers.materials * techModifiers.materials * cargoMultiplier * exoticMaterialMultiplier * solarMatterMultiplier;
-        const researchModifier = this.modifiers.research * techModifiers.research * populationMultiplier * computationMultiplier;
+        const energyModifier = this.modifiers.energy * techModifiers.energy * prestigeModifiers.production * energyEfficiencyMultiplier;
+        const materialsModifier = this.modifiers.materials * techModifiers.materials * prestigeModifiers.production * cargoMultiplier;
+        const researchModifier = this.modifiers.research * techModifiers.research * prestigeModifiers.production;
 
         energy *= energyModifier;
         materials *= materialsModifier;
         research *= researchModifier;
+        population *= techModifiers.population;
 
         energyFromDyson *= energyModifier * dysonBonusMultiplier * techModifiers.dysonEfficiency;
         solarCapture *= dysonBonusMultiplier * techModifiers.dysonEfficiency;
 
         energy += energyFromDyson;
 
-        this.modifiers.buildSpeed = (1 + buildSpeedBonus + launchCapacity * 0.02) * techModifiers.buildSpeed;
+        // In a brownout, hand the supply out by priority and recompute with that allocation
+        if (this.brownout && !reallocated) {
+            const allocation = this.allocatePower(energy, demandByPriority);
+            const changed = Object.keys({ ...allocation, ...this.powerAllocation })
+                .some(priority => Math.abs((allocation[priority] ?? 1) - (this.powerAllocation[priority] ?? 1)) > 1e-9);
+
+            if (changed) {
+                this.powerAllocation = allocation;
+                return this.recalculateProduction(true);
+            }
+        }
+
+        const energyDemand = Object.values(demandByPriority).reduce((sum, demand) => sum + demand, 0);
+
+        this.modifiers.buildSpeed = (1 + buildSpeedBonus + launchCapacity * 0.02) * techModifiers.buildSpeed * prestigeModifiers.buildSpeed;
 
         // Update state
         this.stateManager.state.production = {
-            energy,
+            energy: energy - powerDraw, // Net of upkeep
             materials,
             research,
+            population,
+            exoticMaterials,
+            antimatter,
+            solarMatter,
+            computation,
+        };
+
+        this.stateManager.state.capacity.energy = CONFIG.BASE_ENERGY_CAPACITY + energyStorage + techModifiers.energyStorage;
+        this.stateManager.state.power = {
+            supply: energy,
+            demand: energyDemand,
+            draw: powerDraw,
+            brownout: this.brownout,
+            allocation: { ...this.powerAllocation },
         };
 
         // Update solar capture
         this.stateManager.setSolarCapture(solarCapture);
 
+        this.productionBreakdown = this.buildProductionBreakdown({
+            structureOutput,
+            bonusOutput,
+            upkeepByStructure,
+            techModifiers,
+            prestigeModifiers,
+            energyEfficiencyMultiplier,
+            cargoMultiplier,
+            dysonBonusMultiplier,
+        });
+
         this.logistics = {
             launchCapacity,
             cargoCapacity,
-            population,
             autoConstruction,
             energyEfficiency,
             dysonBonus: dysonBonusMultiplier,
-            exoticMaterials,
-            antimatter,
             energyStorage,
-            solarMatter,
-            computation,
         };
 
+        this.bodyBreakdown = bodyBreakdown;
+
         // Emit production update event
         this.stateManager.emit('production:update', {
-            energy,
+            energy: energy - powerDraw,
+            power: this.stateManager.state.power,
+            capacity: this.stateManager.state.capacity,
             materials,
             research,
+            population,
+            exoticMaterials,
+            antimatter,
+            solarMatter,
+            computation,
             solarCapture,
             logistics: this.logistics,
+            breakdown: bodyBreakdown,
         });
     }
 
+    // Assemble the per-resource production waterfall from the inputs gathered by recalculateProduction
+    buildProductionBreakdown({ structureOutput, bonusOutput, upkeepByStructure, techModifiers, prestigeModifiers, energyEfficiencyMultiplier, cargoMultiplier, dysonBonusMultiplier }) {
+        const production = this.stateManager.getState().production;
+
+        const sources = (group, resource = group) => [
+            ...(CONFIG.BASE_PRODUCTION[resource] && group === resource ?
+                [{ type: 'base', id: 'base', label: 'Base production', amount: CONFIG.BASE_PRODUCTION[resource] }] : []),
+            ...Object.entries(structureOutput[group] || {}).map(([structureId, { count, amount }]) => ({
+                type: 'structure',
+                id: structureId,
+                label: STRUCTURES[structureId]?.name || structureId,
+                count,
+                amount,
+            })),
+            ...Object.entries(bonusOutput[group] || {}).map(([bodyId, amount]) => ({
+                type: 'body',
+                id: bodyId,
+                label: `${getCelestialBody(bodyId)?.name || bodyId} bonus`,
+                amount,
+            })),
+        ];
+
+        const techMultipliers = (target) => techModifiers.sources
+            .filter(source => source.type === 'multiplier' && source.target === target)
+            .map(source => ({
+                type: 'tech',
+                id: source.techId,
+                label: TECH_TREE[source.techId]?.name || source.techId,
+                factor: source.value,
+            }));
+
+        // Multipliers shared by every group of a primary resource
+        const globalMultipliers = (resource) => [
+            { type: 'modifier', id: resource, label: 'Global modifier', factor: this.modifiers[resource] },
+            ...techMultipliers(resource),
+            { type: 'prestige', id: 'production', label: 'Stellar Ascension', factor: prestigeModifiers.production },
+        ];
+
+        const energyMultipliers = [
+            ...globalMultipliers('energy'),
+            { type: 'logistics', id: 'energyEfficiency', label: 'Energy delivery', factor: energyEfficiencyMultiplier },
+        ];
+
+        const breakdown = {
+            energy: {
+                groups: [
+                    buildBreakdownGroup('direct', 'Generation', sources('energy'), energyMultipliers),
+                    buildBreakdownGroup('dyson', 'Dyson swarm', sources('dysonEnergy', 'energy'), [
+                        ...energyMultipliers,
+                        { type: 'logistics', id: 'dysonBonus', label: 'Dyson hubs', factor: dysonBonusMultiplier },
+                        ...techMultipliers('dysonEfficiency'),
+                    ]),
+                ],
+                deductions: Object.entries(upkeepByStructure).map(([structureId, { count, amount }]) => ({
+                    type: 'upkeep',
+                    id: structureId,
+                    label: `${STRUCTURES[structureId]?.name || structureId} upkeep`,
+                    count,
+                    amount: -amount,
+                })),
+            },
+            materials: {
+                groups: [
+                    buildBreakdownGroup('direct', 'Production', sources('materials'), [
+                        ...globalMultipliers('materials'),
+                        { type: 'logistics', id: 'cargoCapacity', label: 'Cargo fleet', factor: cargoMultiplier },
+                    ]),
+                ],
+                deductions: [],
+            },
+            research: {
+                groups: [buildBreakdownGroup('direct', 'Production', sources('research'), globalMultipliers('research'))],
+                deductions: [],
+            },
+        };
+
+        for (const resource of SECONDARY_RESOURCE_IDS) {
+            breakdown[resource] = {
+                groups: [buildBreakdownGroup('direct', 'Production', sources(resource), techMultipliers(resource))],
+                deductions: [],
+            };
+        }
+
+        for (const [resource, entry] of Object.entries(breakdown)) {
+            entry.resource = resource;
+            entry.groups = entry.groups.filter(group => group.sources.length > 0);
+            entry.total = production[resource] || 0;
+        }
+
+        return breakdown;
+    }
+
+    // Get the production waterfall for one resource (or all of them)
+    getProductionBreakdown(resource = null) {
+        return resource ? this.productionBreakdown[resource] || null : this.productionBreakdown;
+    }
+
+    // Get (or create) the breakdown entry for a body
+    getBodyBreakdownEntry(breakdown, bodyId) {
+        if (!breakdown[bodyId]) {
+            const body = getCelestialBody(bodyId);
+            breakdown[bodyId] = {
+                bodyId,
+                name: body?.name || bodyId,
+                structures: {},
+                production: {},
+                bonuses: {},
+            };
+        }
+        return breakdown[bodyId];
+    }
+
     // Set a production modifier
     setModifier(type, value) {
         this.modifiers[type] = value;
@@ -288,6 +602,11 @@ export class ResourceSystem {
         return this.logistics;
     }
 
+    // Get structure output attributed per celestial body
+    getBodyBreakdown() {
+        return this.bodyBreakdown;
+    }
+
     // Calculate how long until can afford something
     getTimeToAfford(costs) {
         const resources = this.getResources();
@@ -302,6 +621,10 @@ export class ResourceSystem {
 
             if (rate <= 0) return Infinity;
 
+            // Storage must be able to hold the whole cost
+            const cap = this.stateManager.getState().capacity?.[type];
+            if (cap !== undefined && amount > cap) return Infinity;
+
             const needed = amount - current;
             const time = needed / rate;
             maxTime = Math.max(maxTime, time);
@@ -310,59 +633,10 @@ export class ResourceSystem {
         return maxTime;
     }
 
+    // Combine researched tech effects (see js/data/effects.js) into production modifiers
     getTechModifiers(completedResearch) {
-        const modifiers = {
-            energy: 1,
-            materials: 1,
-            research: 1,
-            buildSpeed: 1,
-            dysonEfficiency: 1,
-        };
-
-        for (const techId of completedResearch) {
-            const effects = TECH_TREE[techId]?.effects;
-            if (!effects) continue;
-
-            if (effects.energyGeneration) {
-                modifiers.energy *= effects.energyGeneration;
-            }
-
-            if (effects.energyProduction) {
-                modifiers.energy *= effects.energyProduction;
-            }
-
-            if (effects.solarEfficiency) {
-                modifiers.energy *= effects.solarEfficiency;
-            }
-
-            if (effects.materialProduction) {
-                modifiers.materials *= effects.materialProduction;
-            }
-
-            if (effects.researchEfficiency) {
-                modifiers.research *= effects.researchEfficiency;
-            }
-
-            if (effects.productionMultiplier) {
-                modifiers.energy *= effects.productionMultiplier;
-                modifiers.materials *= effects.productionMultiplier;
-                modifiers.research *= effects.productionMultiplier;
-            }
-
-            if (effects.buildSpeed) {
-                modifiers.buildSpeed *= effects.buildSpeed;
-            }
-
-            if (effects.constructionEfficiency) {
-                modifiers.buildSpeed *= effects.constructionEfficiency;
-            }
-
-            if (effects.dysonEfficiency) {
-                modifiers.dysonEfficiency *= effects.dysonEfficiency;
-            }
-        }
-
-        return modifiers;
+        const { modifiers, sources } = collectTechEffects(completedResearch);
+        return { ...modifiers, sources };
     }
 }
 
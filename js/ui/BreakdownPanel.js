@@ -0,0 +1,133 @@
+// Breakdown Panel - Production waterfall for one resource: every source, multiplier and upkeep
+
+import { formatNumber, formatRate } from '../config.js';
+import { RESOURCES } from '../data/resources.js';
+import { getStateManager } from '../core/StateManager.js';
+import { getResourceSystem } from '../systems/ResourceSystem.js';
+
+export class BreakdownPanel {
+    constructor() {
+        this.stateManager = getStateManager();
+        this.resourceSystem = null;
+        this.modal = null;
+        this.title = null;
+        this.body = null;
+        this.resource = null;
+    }
+
+    init() {
+        this.resourceSystem = getResourceSystem();
+        this.modal = document.getElementById('breakdown-modal');
+        this.title = document.getElementById('breakdown-title');
+        this.body = document.getElementById('breakdown-body');
+
+        if (!this.modal || !this.body) {
+            console.error('[BreakdownPanel] Container not found');
+            return;
+        }
+
+        document.getElementById('close-breakdown')?.addEventListener('click', () => this.hide());
+
+        // Open from any resource bar entry
+        document.getElementById('resource-bar')?.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-resource]');
+            if (item) {
+                this.show(item.dataset.resource);
+            }
+        });
+
+        this.stateManager.subscribe('production:update', () => {
+            if (this.isVisible()) this.render();
+        });
+
+        console.log('[BreakdownPanel] Initialized');
+    }
+
+    isVisible() {
+        return this.modal && !this.modal.classList.contains('hidden');
+    }
+
+    show(resource) {
+        this.resource = resource;
+        this.render();
+        this.modal?.classList.remove('hidden');
+    }
+
+    hide() {
+        this.modal?.classList.add('hidden');
+    }
+
+    render() {
+        if (!this.body || !this.resource) return;
+
+        const meta = RESOURCES[this.resource];
+        const breakdown = this.resourceSystem.getProductionBreakdown(this.resource);
+
+        if (this.title) {
+            this.title.textContent = `${meta?.icon || ''} ${meta?.name || this.resource} Production`;
+        }
+
+        if (!breakdown) {
+            this.body.innerHTML = '<p class="setting-hint">No production data.</p>';
+            return;
+        }
+
+        const groups = breakdown.groups.map(group => `
+            <div class="breakdown-group">
+                <div class="breakdown-group-title">${group.label}</div>
+                ${group.sources.map(source => this.renderRow(source.label, this.renderCount(source), formatRate(source.amount))).join('')}
+                ${group.multipliers.length > 0 ? `
+                    ${this.renderRow('Subtotal', '', formatRate(group.subtotal), 'subtotal')}
+                    ${group.multipliers.map(multiplier =>
+                        this.renderRow(multiplier.label, `×${formatNumber(multiplier.factor, 2)}`, formatRate(multiplier.amount), 'multiplier')
+                    ).join('')}
+                ` : ''}
+                ${this.renderRow('Total', '', formatRate(group.total), 'total')}
+            </div>
+        `).join('');
+
+        const deductions = breakdown.deductions.length > 0 ? `
+            <div class="breakdown-group">
+                <div class="breakdown-group-title">Upkeep</div>
+                ${breakdown.deductions.map(deduction =>
+                    this.renderRow(deduction.label, this.renderCount(deduction), formatRate(deduction.amount), 'deduction')
+                ).join('')}
+            </div>
+        ` : '';
+
+        this.body.innerHTML = `
+            ${groups || '<p class="setting-hint">Nothing produces this yet.</p>'}
+            ${deductions}
+            <div class="breakdown-net">
+                <span>Net</span>
+                <span class="${breakdown.total < 0 ? 'negative' : 'positive'}">${formatRate(breakdown.total)}</span>
+            </div>
+        `;
+    }
+
+    renderCount(entry) {
+        return entry.count ? `×${entry.count}` : '';
+    }
+
+    renderRow(label, detail, amount, className = '') {
+        return `
+            <div class="breakdown-row ${className}">
+                <span class="breakdown-label">${label}</span>
+                <span class="breakdown-detail">${detail}</span>
+                <span class="breakdown-amount">${amount}</span>
+            </div>
+        `;
+    }
+}
+
+// Singleton instance
+let instance = null;
+
+export function getBreakdownPanel() {
+    if (!instance) {
+        instance = new BreakdownPanel();
+    }
+    return instance;
+}
+
+export default BreakdownPanel;
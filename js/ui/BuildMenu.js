@@ -1,27 +1,36 @@
 // Build Menu - Structure selection and construction interface
 
-import { STRUCTURES, STRUCTURE_CATEGORIES, getAvailableStructures } from '../data/structures.js';
+import { STRUCTURES, STRUCTURE_CATEGORIES, getAvailableStructures, getStructureTier } from '../data/structures.js';
 import { formatNumber, formatDuration } from '../config.js';
 import { getStateManager } from '../core/StateManager.js';
 import { getConstructionSystem } from '../systems/ConstructionSystem.js';
 import { getResourceSystem } from '../systems/ResourceSystem.js';
+import { getPlacementRegistry } from '../systems/PlacementRegistry.js';
+import { getTooltipSystem } from './TooltipSystem.js';
+import { getAllCelestialBodies } from '../data/planets.js';
+import { RESOURCES, getResourceIcon } from '../data/resources.js';
 
 export class BuildMenu {
     constructor() {
         this.stateManager = getStateManager();
         this.constructionSystem = null;
         this.resourceSystem = null;
+        this.placementRegistry = null;
         this.container = null;
         this.queueContainer = null;
         this.needsAffordabilityRefresh = false;
 
         // Current category filter
         this.currentCategory = 'all';
+
+        // Body chosen for new construction (null = automatic)
+        this.selectedBody = null;
     }
 
     init() {
         this.constructionSystem = getConstructionSystem();
         this.resourceSystem = getResourceSystem();
+        this.placementRegistry = getPlacementRegistry();
 
         this.container = document.getElementById('build-menu');
         this.queueContainer = document.getElementById('construction-queue');
@@ -39,11 +48,47 @@ export class BuildMenu {
         this.renderQueue();
 
         // Subscribe to events
-        this.stateManager.subscribe('structure:built', () => this.render());
+        this.stateManager.subscribe('structure:built', () => {
+            this.render();
+            this.renderQueue(); // Hubs and launch pads add lanes
+        });
+        this.stateManager.subscribe('structure:removed', () => {
+            this.render();
+            this.renderQueue();
+            this.renderLocationOptions();
+        });
+        this.stateManager.subscribe('structure:upgraded', () => this.render());
         this.stateManager.subscribe('research:complete', () => this.render());
-        this.stateManager.subscribe('queue:add', () => this.renderQueue());
-        this.stateManager.subscribe('queue:remove', () => this.renderQueue());
+        this.stateManager.subscribe('queue:add', ({ item }) => {
+            this.renderQueue();
+            this.renderLocationOptions();
+            if (item.type === 'upgrade') this.render(); // Upgrade buttons track queued upgrades
+        });
+        this.stateManager.subscribe('queue:remove', ({ item }) => {
+            this.renderQueue();
+            this.renderLocationOptions();
+            if (item.type === 'upgrade') this.render(); // Upgrade buttons track queued upgrades
+        });
+        this.stateManager.subscribe('era:change', () => this.renderLocationOptions());
+
+        // Selecting a body in the scene makes it the build location
+        this.stateManager.subscribe('state:ui.selectedObject', ({ newValue }) => {
+            if (newValue && this.placementRegistry.getBody(newValue.id)?.sites) {
+                this.setSelectedBody(newValue.id);
+            }
+        });
         this.stateManager.subscribe('construction:progress', () => this.updateQueueProgress());
+        this.stateManager.subscribe('construction:stall', () => this.renderQueue());
+        this.stateManager.subscribe('setting:change', ({ key }) => {
+            if (key === 'buildLaneMode') this.renderQueue();
+            if (key === 'buildCostMode') this.updateAffordability();
+        });
+
+        // Lane speed rule
+        const laneMode = this.queueContainer?.querySelector('#build-lane-mode');
+        if (laneMode) {
+            laneMode.addEventListener('change', (e) => this.constructionSystem.setLaneMode(e.target.value));
+        }
         this.stateManager.subscribe('resource:change', () => {
             this.needsAffordabilityRefresh = true;
         });
@@ -63,10 +108,21 @@ export class BuildMenu {
         `;
 
         this.container.innerHTML = `
+            <div class="build-location">
+                <label for="build-location-select">📍 Location</label>
+                <select id="build-location-select"></select>
+            </div>
+            <div id="standing-orders" class="standing-orders"></div>
             ${tabsHtml}
             <div id="build-list"></div>
         `;
 
+        this.renderLocationOptions();
+
+        this.container.querySelector('#build-location-select').addEventListener('change', (e) => {
+            this.setSelectedBody(e.target.value || null);
+        });
+
         // Tab click handlers
         this.container.querySelectorAll('.tab').forEach(tab => {
             tab.addEventListener('click', (e) => {
@@ -78,13 +134,45 @@ export class BuildMenu {
         });
     }
 
+    // Fill the location selector with bodies and their slot usage
+    renderLocationOptions() {
+        const select = this.container?.querySelector('#build-location-select');
+        if (!select) return;
+
+        const options = ['<option value="">Auto (best available)</option>'];
+
+        for (const body of getAllCelestialBodies()) {
+            const capacity = this.placementRegistry.getCapacity(body.id);
+            const used = this.placementRegistry.getUsedSlots(body.id);
+            const unlocked = this.placementRegistry.isBodyUnlocked(body.id);
+            const slots = capacity === null ? `${used}` : `${used}/${capacity}`;
+
+            options.push(`<option value="${body.id}" ${unlocked ? '' : 'disabled'}>
+                ${body.name} (${unlocked ? slots : `Era ${body.unlockEra}`})
+            </option>`);
+        }
+
+        select.innerHTML = options.join('');
+        select.value = this.selectedBody || '';
+    }
+
+    setSelectedBody(bodyId) {
+        this.selectedBody = bodyId;
+        this.renderLocationOptions();
+        this.render();
+    }
+
+    // Body a structure would be built on with the current selection
+    getTargetBody(structureId) {
+        return this.selectedBody || this.placementRegistry.getDefaultBody(structureId);
+    }
+
     render() {
         const listEl = this.container.querySelector('#build-list');
         if (!listEl) return;
 
         const completedResearch = this.stateManager.getState().completedResearch;
         const structures = this.stateManager.getState().structures;
-        const resources = this.stateManager.getState().resources;
 
         // Get structures to display
         let structureList = Object.values(STRUCTURES);
@@ -126,8 +214,7 @@ export class BuildMenu {
                     const item = this.createBuildItem(structure, {
                         unlocked: completedResearch.includes(structure.requiresTech),
                         count: structures[structure.id] || 0,
-                        affordable: this.resourceSystem.canAfford(structure.cost),
-                        resources,
+                        affordable: this.constructionSystem.canAffordToStart(structure.cost),
                     });
                     categoryEl.appendChild(item);
                 }
@@ -139,8 +226,7 @@ export class BuildMenu {
                 const item = this.createBuildItem(structure, {
                     unlocked: completedResearch.includes(structure.requiresTech),
                     count: structures[structure.id] || 0,
-                    affordable: this.resourceSystem.canAfford(structure.cost),
-                    resources,
+                    affordable: this.constructionSystem.canAffordToStart(structure.cost),
                 });
                 listEl.appendChild(item);
             }
@@ -168,41 +254,198 @@ export class BuildMenu {
                 `<div class="build-item-count">${status.count}/${structure.limit}</div>` :
                 `<div class="build-item-count">${status.count} built</div>`
             }
+                    ${this.renderTierCounts(structure)}
                 </div>
             </div>
             <div class="build-item-desc">${structure.description}</div>
             <div class="build-item-cost">
                 ${Object.entries(structure.cost).map(([resource, amount]) => {
-                const affordable = (status.resources[resource] || 0) >= amount;
+                const affordable = this.constructionSystem.canAffordToStart({ [resource]: amount });
                 return `<span class="cost-item ${affordable ? 'affordable' : 'expensive'}" data-resource="${resource}" data-cost="${amount}">
                         ${this.getResourceIcon(resource)} ${formatNumber(amount)}
                     </span>`;
             }).join('')}
                 <span class="build-time">⏱️ ${formatDuration(structure.buildTime)}</span>
             </div>
+            ${status.unlocked ? `<div class="build-item-location">📍 ${this.getLocationLabel(structure.id)}</div>` : ''}
             ${!status.unlocked ? `<div class="build-item-locked">🔒 Requires: ${structure.requiresTech}</div>` : ''}
             ${atLimit ? `<div class="build-item-limit">Maximum built</div>` : ''}
+            ${status.unlocked ? `
+                <div class="build-item-orders">
+                    <button class="btn" data-order-type="maintain" title="Keep a number of these built">Maintain…</button>
+                    <button class="btn" data-order-type="repeat" title="Keep building while a resource stays above a level">Repeat…</button>
+                    ${status.count > 0 ? this.renderUpgradeButton(structure) : ''}
+                    ${status.count > 0 ? `<button class="btn" data-decommission title="Remove one and salvage part of its cost">Decommission</button>` : ''}
+                </div>
+            ` : ''}
         `;
 
+        // Hovering the upgrade button compares tiers
+        const upgradeButton = item.querySelector('[data-upgrade]');
+        if (upgradeButton) {
+            const tooltipSystem = getTooltipSystem();
+            upgradeButton.addEventListener('mouseenter', () => tooltipSystem.showStructureTooltip(structure, upgradeButton));
+            upgradeButton.addEventListener('mouseleave', tooltipSystem.onMouseLeave);
+        }
+
         // Click handler
-        item.addEventListener('click', () => {
+        item.addEventListener('click', (e) => {
+            const orderButton = e.target.closest('[data-order-type]');
+            if (orderButton) {
+                this.createStandingOrder(orderButton.dataset.orderType, structure);
+                return;
+            }
+            if (e.target.closest('[data-upgrade]')) {
+                this.upgrade(structure);
+                return;
+            }
+            if (e.target.closest('[data-decommission]')) {
+                const atSelected = this.selectedBody && this.stateManager.getStructureCountAt(this.selectedBody, structure.id) > 0;
+                this.decommission(structure.id, atSelected ? this.selectedBody : null);
+                return;
+            }
             this.build(structure.id);
         });
 
         return item;
     }
 
-    getResourceIcon(resource) {
-        switch (resource) {
-            case 'energy': return '⚡';
-            case 'materials': return '🪨';
-            case 'research': return '🔬';
-            default: return '?';
+    // Ask for an order's target and add it
+    createStandingOrder(type, structure) {
+        let order;
+
+        if (type === 'maintain') {
+            const current = this.stateManager.getStructureCount(structure.id);
+            const answer = prompt(`Keep how many ${structure.name} built?`, String(structure.limit ?? current + 10));
+            if (answer === null) return;
+            order = { type, structureId: structure.id, count: parseInt(answer, 10) };
+        } else {
+            // "5000" (energy) or "materials 5000"
+            const answer = prompt(`Keep building ${structure.name} while a resource is above (e.g. "5000" for energy, or "materials 5000"):`, '5000');
+            if (answer === null) return;
+            const match = answer.trim().match(/^(?:([a-zA-Z]+)\s*>?\s*)?(\d+(?:\.\d+)?(?:e\d+)?)$/);
+            const resource = Object.keys(RESOURCES).find(id => id.toLowerCase() === match?.[1]?.toLowerCase()) || (match?.[1] ? null : 'energy');
+            order = { type, structureId: structure.id, resource, threshold: match ? parseFloat(match[2]) : NaN };
+        }
+
+        const result = this.constructionSystem.addStandingOrder({ ...order, bodyId: this.selectedBody });
+        if (!result.success) {
+            const messages = {
+                invalid_count: 'Enter a whole number of at least 1.',
+                invalid_threshold: 'Enter an amount, optionally after a resource name.',
+                limit_reached: `You can't build more than ${structure.limit} ${structure.name}.`,
+            };
+            this.stateManager.emit('notification', {
+                type: 'warning',
+                title: 'Cannot Add Order',
+                message: messages[result.reason] || 'Order could not be added.',
+                duration: 3000,
+            });
         }
     }
 
+    // "2 Mk II · 1 Mk III" for structures with upgraded instances
+    renderTierCounts(structure) {
+        if (!structure.tiers) return '';
+
+        const upgraded = Object.entries(this.constructionSystem.getTierCounts(structure.id))
+            .filter(([tier]) => tier > 1)
+            .map(([tier, count]) => `${count} ${getStructureTier(structure, Number(tier)).tierName}`);
+
+        return upgraded.length > 0 ? `<div class="build-item-tiers">${upgraded.join(' · ')}</div>` : '';
+    }
+
+    // Upgrade button naming the next tier, disabled until its tech is researched
+    renderUpgradeButton(structure) {
+        if (!structure.tiers) return '';
+
+        const target = this.constructionSystem.findUpgrade(structure.id);
+        if (target.reason === 'max_tier' || target.reason === 'none_built') return '';
+
+        if (target.reason === 'tech_not_unlocked') {
+            return '<button class="btn" data-upgrade disabled>Upgrade</button>';
+        }
+        if (target.reason === 'already_upgrading') {
+            return '<button class="btn" data-upgrade disabled>Upgrading…</button>';
+        }
+
+        return `<button class="btn" data-upgrade>Upgrade to ${getStructureTier(structure, target.tier).tierName}</button>`;
+    }
+
+    // Queue an upgrade of the lowest-tier instance (at the selected body if it has one)
+    upgrade(structure) {
+        const atSelected = this.selectedBody && !this.constructionSystem.findUpgrade(structure.id, this.selectedBody).reason;
+        const result = this.constructionSystem.upgrade(structure.id, { bodyId: atSelected ? this.selectedBody : undefined });
+        if (result.success) return;
+
+        const messages = {
+            cannot_afford: 'Not enough resources',
+            tech_not_unlocked: 'Technology not researched',
+            queue_full: 'Construction queue is full',
+            already_upgrading: 'Every one is already being upgraded',
+            max_tier: 'Already at the highest tier',
+        };
+
+        this.stateManager.emit('notification', {
+            type: 'warning',
+            title: 'Cannot Upgrade',
+            message: messages[result.reason] || 'Cannot upgrade',
+            duration: 3000,
+        });
+    }
+
+    // Confirm, then remove one structure (from the fullest body unless one is given)
+    decommission(structureId, bodyId = null) {
+        const structure = STRUCTURES[structureId];
+        const targetBody = bodyId || this.constructionSystem.getDecommissionBody(structureId);
+        if (!structure || !targetBody) return;
+
+        const removedTiers = this.constructionSystem.getRemovalTiers(structureId, targetBody);
+        const salvage = Object.entries(this.constructionSystem.getSalvage(structureId, removedTiers))
+            .filter(([, amount]) => amount > 0)
+            .map(([resource, amount]) => `${this.getResourceIcon(resource)} ${formatNumber(amount, 0)}`)
+            .join(' ');
+        const bodyName = this.placementRegistry.getBody(targetBody)?.name || targetBody;
+
+        if (!confirm(`Decommission a ${structure.name} at ${bodyName}? You get back ${salvage || 'nothing'}.`)) return;
+
+        const result = this.constructionSystem.decommission(structureId, { bodyId: targetBody });
+        if (!result.success) {
+            this.stateManager.emit('notification', {
+                type: 'warning',
+                title: 'Cannot Decommission',
+                message: `No ${structure.name} is built at ${bodyName}.`,
+                duration: 3000,
+            });
+        }
+    }
+
+    getLocationLabel(structureId) {
+        const bodyId = this.getTargetBody(structureId);
+        if (!bodyId) return 'No free slot';
+
+        const check = this.placementRegistry.canPlace(structureId, bodyId);
+        const name = this.placementRegistry.getBody(bodyId)?.name || bodyId;
+        return check.success ? name : `${name} (${this.getPlacementMessage(check.reason)})`;
+    }
+
+    getPlacementMessage(reason) {
+        switch (reason) {
+            case 'invalid_body': return 'cannot be placed here';
+            case 'body_locked': return 'not reachable yet';
+            case 'body_full': return 'no free slots';
+            default: return 'unavailable';
+        }
+    }
+
+    getResourceIcon(resource) {
+        return getResourceIcon(resource);
+    }
+
     build(structureId) {
-        const result = this.constructionSystem.build(structureId);
+        const result = this.constructionSystem.build(structureId, {
+            bodyId: this.selectedBody || undefined,
+        });
 
         if (!result.success) {
             // Show error notification
@@ -212,6 +455,12 @@ export class BuildMenu {
                 case 'tech_not_unlocked': message = 'Technology not researched'; break;
                 case 'limit_reached': message = 'Build limit reached'; break;
                 case 'queue_full': message = 'Construction queue is full'; break;
+                case 'no_free_slot': message = 'No body has a free slot for this structure'; break;
+                case 'invalid_body':
+                case 'body_locked':
+                case 'body_full':
+                    message = `${this.placementRegistry.getBody(this.selectedBody)?.name || 'Location'}: ${this.getPlacementMessage(result.reason)}`;
+                    break;
             }
 
             this.stateManager.emit('notification', {
@@ -238,11 +487,34 @@ export class BuildMenu {
 
         this.queueContainer.classList.add('active');
 
+        const lanes = this.constructionSystem.getLaneCount();
+        const laneMode = this.constructionSystem.getLaneMode();
+
+        const lanesEl = this.queueContainer.querySelector('#queue-lanes');
+        if (lanesEl) {
+            lanesEl.textContent = `(${Math.min(queue.length, lanes)}/${lanes} lanes)`;
+        }
+
+        const modeSelect = this.queueContainer.querySelector('#build-lane-mode');
+        if (modeSelect) {
+            modeSelect.value = laneMode;
+            modeSelect.title = laneMode === 'pooled'
+                ? 'Pooled: the building lanes share a single lane of build speed'
+                : 'Split: every lane builds at full speed';
+        }
+
         queueList.innerHTML = '';
 
         queue.forEach((item, index) => {
             const queueItem = document.createElement('div');
-            queueItem.className = 'queue-item';
+            const building = index < lanes;
+            const stalled = building && item.waitingFor;
+            queueItem.className = `queue-item ${building ? '' : 'waiting'} ${stalled ? 'stalled' : ''}`;
+
+            let laneLabel = building ? `Lane ${index + 1}` : 'Waiting for a lane';
+            if (stalled) {
+                laneLabel = `Lane ${index + 1} · Waiting for ${RESOURCES[item.waitingFor]?.name.toLowerCase() || item.waitingFor}`;
+            }
 
             const progress = (item.progress / item.buildTime) * 100;
 
@@ -250,9 +522,10 @@ export class BuildMenu {
                 <div class="queue-item-icon">${item.icon}</div>
                 <div class="queue-item-info">
                     <div class="queue-item-name">${item.name}</div>
+                    <div class="queue-item-lane">${laneLabel}</div>
                     <div class="queue-item-progress">
-                        <div class="queue-item-progress-fill ${index === 0 ? 'progress-animated' : ''}"
-                             style="width: ${progress}%"></div>
+                        <div class="queue-item-progress-fill ${building && !stalled ? 'progress-animated' : ''}"
+                             data-item-id="${item.id}" style="width: ${progress}%"></div>
                     </div>
                 </div>
                 <button class="queue-item-cancel" data-index="${index}" title="Cancel">✕</button>
@@ -269,15 +542,11 @@ export class BuildMenu {
     }
 
     updateQueueProgress() {
-        const queue = this.constructionSystem.getQueue();
-        if (queue.length === 0) return;
-
-        const firstItem = queue[0];
-        const progress = (firstItem.progress / firstItem.buildTime) * 100;
-
-        const progressBar = this.queueContainer.querySelector('.queue-item-progress-fill');
-        if (progressBar) {
-            progressBar.style.width = `${progress}%`;
+        for (const { item, percent } of this.constructionSystem.getActiveConstruction()) {
+            const progressBar = this.queueContainer.querySelector(`.queue-item-progress-fill[data-item-id="${item.id}"]`);
+            if (progressBar) {
+                progressBar.style.width = `${percent * 100}%`;
+            }
         }
     }
 
@@ -297,7 +566,6 @@ export class BuildMenu {
         const state = this.stateManager.getState();
         const completedResearch = state.completedResearch;
         const structures = state.structures;
-        const resources = state.resources;
 
         listEl.querySelectorAll('.build-item').forEach((item) => {
             const structureId = item.dataset.structureId;
@@ -306,7 +574,7 @@ export class BuildMenu {
 
             const unlocked = completedResearch.includes(structure.requiresTech);
             const count = structures[structureId] || 0;
-            const affordable = this.resourceSystem.canAfford(structure.cost);
+            const affordable = this.constructionSystem.canAffordToStart(structure.cost);
             const atLimit = structure.limit !== null && count >= structure.limit;
 
             item.classList.toggle('locked', !unlocked);
@@ -316,7 +584,7 @@ export class BuildMenu {
             item.querySelectorAll('.cost-item').forEach((costEl) => {
                 const resource = costEl.dataset.resource;
                 const amount = Number(costEl.dataset.cost || 0);
-                const canAfford = (resources[resource] || 0) >= amount;
+                const canAfford = this.constructionSystem.canAffordToStart({ [resource]: amount });
                 costEl.classList.toggle('affordable', canAfford);
                 costEl.classList.toggle('expensive', !canAfford);
             });
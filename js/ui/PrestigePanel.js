@@ -0,0 +1,156 @@
+// Prestige Panel - Stellar Ascension modal: stardust, permanent upgrades and the ascend button
+
+import { PRESTIGE_UPGRADES } from '../data/prestige.js';
+import { CONFIG, formatNumber } from '../config.js';
+import { getStateManager } from '../core/StateManager.js';
+import { getSaveSystem } from '../core/SaveSystem.js';
+import { getPrestigeSystem } from '../systems/PrestigeSystem.js';
+
+export class PrestigePanel {
+    constructor() {
+        this.stateManager = getStateManager();
+        this.prestigeSystem = null;
+        this.saveSystem = null;
+        this.modal = null;
+        this.body = null;
+    }
+
+    init() {
+        this.prestigeSystem = getPrestigeSystem();
+        this.saveSystem = getSaveSystem();
+        this.modal = document.getElementById('prestige-modal');
+        this.body = document.getElementById('prestige-body');
+
+        if (!this.modal || !this.body) {
+            console.error('[PrestigePanel] Container not found');
+            return;
+        }
+
+        document.getElementById('prestige-button')?.addEventListener('click', () => this.show());
+        document.getElementById('close-prestige')?.addEventListener('click', () => this.hide());
+        document.getElementById('ascend-button')?.addEventListener('click', () => this.ascend());
+
+        this.body.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-upgrade]');
+            if (button) {
+                this.buyUpgrade(button.dataset.upgrade);
+            }
+        });
+
+        this.stateManager.subscribe('prestige:upgrade', () => this.render());
+        this.stateManager.subscribe('solar:capture', () => {
+            if (this.isVisible()) this.render();
+        });
+
+        console.log('[PrestigePanel] Initialized');
+    }
+
+    isVisible() {
+        return this.modal && !this.modal.classList.contains('hidden');
+    }
+
+    show() {
+        this.render();
+        this.modal?.classList.remove('hidden');
+    }
+
+    hide() {
+        this.modal?.classList.add('hidden');
+    }
+
+    render() {
+        if (!this.body) return;
+
+        const prestige = this.prestigeSystem.getPrestige();
+        const gain = this.prestigeSystem.getPendingGain();
+        const check = this.prestigeSystem.canAscend();
+
+        let ascendHint;
+        if (check.success) {
+            ascendHint = `Ascending now resets to Era 1 and grants <strong>${formatNumber(gain, 0)}</strong> stardust.`;
+        } else if (check.reason === 'too_early') {
+            ascendHint = `Reach Era ${CONFIG.PRESTIGE_MIN_ERA} (${CONFIG.ERAS[CONFIG.PRESTIGE_MIN_ERA].name}) to ascend.`;
+        } else {
+            ascendHint = 'Capture more solar output to earn stardust.';
+        }
+
+        const upgrades = Object.keys(PRESTIGE_UPGRADES).map(upgradeId => {
+            const status = this.prestigeSystem.getUpgradeStatus(upgradeId);
+            const { upgrade, level, cost, maxed, affordable } = status;
+
+            return `
+                <div class="prestige-upgrade ${maxed ? 'maxed' : ''}">
+                    <div class="prestige-upgrade-icon">${upgrade.icon}</div>
+                    <div class="prestige-upgrade-info">
+                        <div class="prestige-upgrade-name">${upgrade.name} <span class="prestige-upgrade-level">${level}/${upgrade.maxLevel}</span></div>
+                        <div class="prestige-upgrade-desc">${upgrade.description}</div>
+                    </div>
+                    <button class="btn btn-primary" data-upgrade="${upgradeId}" ${affordable ? '' : 'disabled'}>
+                        ${maxed ? 'Max' : `✨ ${formatNumber(cost, 0)}`}
+                    </button>
+                </div>
+            `;
+        }).join('');
+
+        this.body.innerHTML = `
+            <div class="prestige-summary">
+                <div><span class="prestige-currency">✨ ${formatNumber(prestige.currency, 0)}</span> stardust</div>
+                <div class="prestige-meta">Ascensions: ${prestige.ascensions} · Total earned: ${formatNumber(prestige.totalEarned, 0)}</div>
+            </div>
+            <p class="setting-hint">${ascendHint}</p>
+            <div class="prestige-upgrades">${upgrades}</div>
+        `;
+
+        const ascendButton = document.getElementById('ascend-button');
+        if (ascendButton) {
+            ascendButton.disabled = !check.success;
+        }
+    }
+
+    buyUpgrade(upgradeId) {
+        const result = this.prestigeSystem.buyUpgrade(upgradeId);
+        if (result.success) return;
+
+        const messages = {
+            unknown_upgrade: 'That upgrade does not exist.',
+            max_level: 'That upgrade is already at its maximum level.',
+            cannot_afford: 'Not enough stardust.',
+        };
+
+        this.stateManager.emit('notification', {
+            type: 'warning',
+            title: 'Cannot Buy Upgrade',
+            message: messages[result.reason] || 'Upgrade failed.',
+            duration: 3000,
+        });
+    }
+
+    async ascend() {
+        const gain = this.prestigeSystem.getPendingGain();
+        if (!confirm(`Ascend for ${formatNumber(gain, 0)} stardust? Your structures, research and resources reset to Era 1.`)) {
+            return;
+        }
+
+        const result = this.prestigeSystem.ascend();
+        if (!result.success) {
+            this.render();
+            return;
+        }
+
+        // Persist the new run before reloading so every system starts from it
+        await this.saveSystem.save();
+        location.reload();
+    }
+}
+
+// Singleton instance
+let instance = null;
+
+export function getPrestigePanel() {
+    if (!instance) {
+        instance = new PrestigePanel();
+    }
+    return instance;
+}
+
+export default PrestigePanel;
@@ -1,7 +1,8 @@
-// Resource Bar - Top HUD displaying energy, materials, and research
+// Resource Bar - Top HUD displaying energy, materials, research and discovered secondary resources
 
 import { formatNumber, formatRate } from '../config.js';
 import { getStateManager } from '../core/StateManager.js';
+import { RESOURCES, RESOURCE_IDS, isResourceDiscovered } from '../data/resources.js';
 
 export class ResourceBar {
     constructor() {
@@ -9,11 +10,7 @@ export class ResourceBar {
         this.container = null;
 
         // Animation state for smooth number transitions
-        this.displayedResources = {
-            energy: 0,
-            materials: 0,
-            research: 0,
-        };
+        this.displayedResources = {};
 
         // Rate display update timer
         this.rateUpdateTimer = 0;
@@ -31,41 +28,38 @@ export class ResourceBar {
         this.createResourceDisplays();
 
         // Initialize displayed values
-        const resources = this.stateManager.getState().resources;
-        this.displayedResources.energy = resources.energy;
-        this.displayedResources.materials = resources.materials;
-        this.displayedResources.research = resources.research;
+        const state = this.stateManager.getState();
+        for (const resourceId of RESOURCE_IDS) {
+            this.displayedResources[resourceId] = state.resources[resourceId] || 0;
+        }
 
         // Initial render
+        this.updateVisibility(state);
         this.render();
 
         console.log('[ResourceBar] Initialized');
     }
 
     createResourceDisplays() {
-        this.container.innerHTML = `
-            <div class="resource-item" data-resource="energy" title="Energy - Powers construction and research">
-                <div class="resource-icon energy">⚡</div>
-                <div class="resource-info">
-                    <div class="resource-value" id="energy-value">0</div>
-                    <div class="resource-rate" id="energy-rate">+0/s</div>
-                </div>
-            </div>
-            <div class="resource-item" data-resource="materials" title="Materials - Used for construction">
-                <div class="resource-icon materials">🪨</div>
+        this.container.innerHTML = Object.values(RESOURCES).map(resource => `
+            <div class="resource-item ${resource.primary ? '' : 'secondary hidden'}" data-resource="${resource.id}" title="${resource.name} - ${resource.description}. Click for a production breakdown.">
+                <div class="resource-icon ${resource.id}">${resource.icon}</div>
                 <div class="resource-info">
-                    <div class="resource-value" id="materials-value">0</div>
-                    <div class="resource-rate" id="materials-rate">+0/s</div>
+                    <div class="resource-value"><span id="${resource.id}-value">0</span>${resource.id === 'energy' ? '<span class="resource-capacity" id="energy-capacity"></span>' : ''}</div>
+                    <div class="resource-rate" id="${resource.id}-rate">+0/s</div>
                 </div>
             </div>
-            <div class="resource-item" data-resource="research" title="Research - Unlocks new technologies">
-                <div class="resource-icon research">🔬</div>
-                <div class="resource-info">
-                    <div class="resource-value" id="research-value">0</div>
-                    <div class="resource-rate" id="research-rate">+0/s</div>
-                </div>
-            </div>
-        `;
+        `).join('');
+    }
+
+    // Reveal secondary resources once they are stockpiled or produced
+    updateVisibility(state) {
+        for (const resourceId of RESOURCE_IDS) {
+            const item = this.container.querySelector(`[data-resource="${resourceId}"]`);
+            if (item) {
+                item.classList.toggle('hidden', !isResourceDiscovered(resourceId, state.resources, state.production));
+            }
+        }
     }
 
     update(deltaTime) {
@@ -75,27 +69,21 @@ export class ResourceBar {
         // Smooth number transitions
         const lerpSpeed = 10 * deltaTime;
 
-        this.displayedResources.energy = this.lerp(
-            this.displayedResources.energy,
-            resources.energy,
-            lerpSpeed
-        );
-        this.displayedResources.materials = this.lerp(
-            this.displayedResources.materials,
-            resources.materials,
-            lerpSpeed
-        );
-        this.displayedResources.research = this.lerp(
-            this.displayedResources.research,
-            resources.research,
-            lerpSpeed
-        );
+        for (const resourceId of RESOURCE_IDS) {
+            this.displayedResources[resourceId] = this.lerp(
+                this.displayedResources[resourceId] || 0,
+                resources[resourceId] || 0,
+                lerpSpeed
+            );
+        }
 
         // Update rate display periodically
         this.rateUpdateTimer += deltaTime;
         if (this.rateUpdateTimer >= this.rateUpdateInterval) {
             this.rateUpdateTimer = 0;
             this.updateRates(state.production);
+            this.updatePower(state);
+            this.updateVisibility(state);
         }
 
         // Render updated values
@@ -103,9 +91,9 @@ export class ResourceBar {
     }
 
     render() {
-        this.updateValue('energy', this.displayedResources.energy);
-        this.updateValue('materials', this.displayedResources.materials);
-        this.updateValue('research', this.displayedResources.research);
+        for (const resourceId of RESOURCE_IDS) {
+            this.updateValue(resourceId, this.displayedResources[resourceId]);
+        }
     }
 
     updateValue(type, value) {
@@ -116,9 +104,9 @@ export class ResourceBar {
     }
 
     updateRates(production) {
-        this.updateRate('energy', production.energy);
-        this.updateRate('materials', production.materials);
-        this.updateRate('research', production.research);
+        for (const resourceId of RESOURCE_IDS) {
+            this.updateRate(resourceId, production[resourceId] || 0);
+        }
     }
 
     updateRate(type, rate) {
@@ -129,6 +117,26 @@ export class ResourceBar {
         }
     }
 
+    // Energy storage cap, grid supply/demand tooltip and brownout highlight
+    updatePower(state) {
+        const capacityEl = document.getElementById('energy-capacity');
+        if (capacityEl) {
+            capacityEl.textContent = ` / ${formatNumber(state.capacity.energy, 0)}`;
+        }
+
+        const item = this.container.querySelector('[data-resource="energy"]');
+        if (!item) return;
+
+        const { supply, demand, draw, brownout } = state.power;
+        let title = `Energy - Supply ${formatRate(supply)}, upkeep ${formatRate(-draw)}`;
+        if (brownout) {
+            title += ` (brownout: demand ${formatRate(demand)}, low-priority structures throttled)`;
+        }
+
+        item.title = `${title}. Click for a production breakdown.`;
+        item.classList.toggle('brownout', brownout);
+    }
+
     lerp(start, end, t) {
         t = Math.min(1, Math.max(0, t));
         return start + (end - start) * t;
@@ -0,0 +1,115 @@
+// Standing Orders Panel - Lists repeat/maintain build orders with pause, resume and remove
+
+import { STRUCTURES } from '../data/structures.js';
+import { RESOURCES } from '../data/resources.js';
+import { formatNumber } from '../config.js';
+import { getStateManager } from '../core/StateManager.js';
+import { getConstructionSystem } from '../systems/ConstructionSystem.js';
+
+// Shown when an order could not queue anything last tick
+const STATUS_MESSAGES = {
+    satisfied: 'Satisfied',
+    below_threshold: 'Waiting for resources to rise',
+    cannot_afford: 'Waiting until affordable',
+    queue_full: 'Queue full',
+    limit_reached: 'Limit reached',
+    tech_not_unlocked: 'Needs research',
+    no_free_slot: 'No free slot',
+    body_full: 'Location full',
+    body_locked: 'Location not reachable yet',
+    invalid_body: 'Cannot be placed there',
+};
+
+export class StandingOrdersPanel {
+    constructor() {
+        this.stateManager = getStateManager();
+        this.constructionSystem = null;
+        this.container = null;
+    }
+
+    init() {
+        this.constructionSystem = getConstructionSystem();
+        this.container = document.getElementById('standing-orders');
+
+        if (!this.container) {
+            console.error('[StandingOrdersPanel] Container not found');
+            return;
+        }
+
+        this.container.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-order-action]');
+            if (button) {
+                this.handleAction(button.dataset.orderAction, button.dataset.order);
+            }
+        });
+
+        this.stateManager.subscribe('orders:change', () => this.render());
+
+        this.render();
+
+        console.log('[StandingOrdersPanel] Initialized');
+    }
+
+    render() {
+        if (!this.container) return;
+
+        const orders = this.constructionSystem.getStandingOrders();
+        if (orders.length === 0) {
+            this.container.innerHTML = '';
+            return;
+        }
+
+        this.container.innerHTML = `
+            <div class="standing-orders-title">Standing Orders</div>
+            ${orders.map(order => this.renderOrder(order)).join('')}
+        `;
+    }
+
+    renderOrder(order) {
+        const structure = STRUCTURES[order.structureId];
+        const status = order.paused ? 'Paused' : (STATUS_MESSAGES[order.status] || 'Active');
+
+        return `
+            <div class="standing-order ${order.paused ? 'paused' : ''}">
+                <div class="standing-order-info">
+                    <div class="standing-order-name">${structure?.icon || ''} ${this.describe(order)}</div>
+                    <div class="standing-order-meta">${status} · ${order.built} queued so far</div>
+                </div>
+                <button class="btn" data-order-action="${order.paused ? 'resume' : 'pause'}" data-order="${order.id}"
+                    title="${order.paused ? 'Resume' : 'Pause'}">${order.paused ? '▶' : '⏸'}</button>
+                <button class="queue-item-cancel" data-order-action="remove" data-order="${order.id}" title="Remove order">✕</button>
+            </div>
+        `;
+    }
+
+    // "Maintain 10 Mining Outpost" / "Repeat Dyson Satellite while Energy > 5K"
+    describe(order) {
+        const name = STRUCTURES[order.structureId]?.name || order.structureId;
+        if (order.type === 'maintain') {
+            return `Maintain ${order.count} ${name}`;
+        }
+        return `Repeat ${name} while ${RESOURCES[order.resource]?.name || order.resource} > ${formatNumber(order.threshold)}`;
+    }
+
+    handleAction(action, orderId) {
+        if (action === 'pause') {
+            this.constructionSystem.setStandingOrderPaused(orderId, true);
+        } else if (action === 'resume') {
+            this.constructionSystem.setStandingOrderPaused(orderId, false);
+        } else if (action === 'remove') {
+            this.constructionSystem.removeStandingOrder(orderId);
+        }
+    }
+}
+
+// Singleton instance
+let instance = null;
+
+export function getStandingOrdersPanel() {
+    if (!instance) {
+        instance = new StandingOrdersPanel();
+    }
+    return instance;
+}
+
+export default StandingOrdersPanel;
@@ -1,7 +1,9 @@
 // Tech Tree Panel - Research tree display and interaction
 
-import { TECH_TREE, getTechsByEra, getAvailableTechs } from '../data/techTree.js';
-import { formatNumber } from '../config.js';
+import { TECH_TREE, getTechsByEra, getAvailableTechs, getTechUpfrontCost } from '../data/techTree.js';
+import { getResourceIcon } from '../data/resources.js';
+import { RESEARCH_STRATEGIES, getResearchStrategy } from '../data/researchStrategies.js';
+import { formatNumber, formatDuration } from '../config.js';
 import { getStateManager } from '../core/StateManager.js';
 import { getProgressionSystem } from '../systems/ProgressionSystem.js';
 
@@ -38,22 +40,28 @@ export class TechTreePanel {
         this.stateManager.subscribe('research:start', () => this.render());
         this.stateManager.subscribe('research:progress', () => this.updateProgress());
         this.stateManager.subscribe('research:cancel', () => this.render());
+        this.stateManager.subscribe('research:queue', () => this.render());
+        this.stateManager.subscribe('research:allocation', () => this.updateAllocation());
+        this.stateManager.subscribe('setting:change', ({ key }) => {
+            if (key === 'autoResearchStrategy' || key === 'researchPriority') this.render();
+        });
+        this.stateManager.subscribe('prestige:upgrade', () => this.updateResearchSlotsDisplay());
 
         console.log('[TechTreePanel] Initialized');
     }
 
     updateResearchSlotsDisplay() {
-        const state = this.stateManager.getState();
         const slotsEl = this.container.querySelector('#research-slots-count');
         if (slotsEl) {
-            slotsEl.textContent = state.maxResearchSlots || 1;
+            slotsEl.textContent = this.progressionSystem.getMaxResearchSlots();
         }
     }
 
     createPanelStructure() {
         const state = this.stateManager.getState();
         const autoResearch = state.autoResearch || false;
-        const maxSlots = state.maxResearchSlots || 1;
+        const maxSlots = this.progressionSystem.getMaxResearchSlots();
+        const strategy = getResearchStrategy(state.settings.autoResearchStrategy);
 
         this.container.innerHTML = `
             <div class="research-controls">
@@ -61,10 +69,16 @@ export class TechTreePanel {
                     <input type="checkbox" id="auto-research-checkbox" ${autoResearch ? 'checked' : ''}>
                     <span>Auto-Research</span>
                 </label>
+                <select id="auto-research-strategy" class="auto-research-strategy" title="${strategy.description}">
+                    ${Object.values(RESEARCH_STRATEGIES).map(option => `
+                        <option value="${option.id}" ${option.id === strategy.id ? 'selected' : ''}>${option.name}</option>
+                    `).join('')}
+                </select>
                 <span class="research-slots" title="Research slots available">
                     Slots: <span id="research-slots-count">${maxSlots}</span>
                 </span>
             </div>
+            <div id="research-queue" class="research-queue"></div>
             <div class="tabs">
                 <button class="tab active" data-era="all">All</button>
                 <button class="tab" data-era="1">Era 1</button>
@@ -83,6 +97,60 @@ export class TechTreePanel {
             });
         }
 
+        const strategySelect = this.container.querySelector('#auto-research-strategy');
+        if (strategySelect) {
+            strategySelect.addEventListener('change', (e) => {
+                this.progressionSystem.setAutoResearchStrategy(e.target.value);
+                e.target.title = getResearchStrategy(e.target.value).description;
+            });
+        }
+
+        // Pending queue: remove buttons and drag to reorder
+        const queueEl = this.container.querySelector('#research-queue');
+        if (queueEl) {
+            queueEl.addEventListener('click', (e) => {
+                const button = e.target.closest('.queue-item-cancel');
+                if (button) {
+                    this.progressionSystem.dequeueResearch(button.dataset.techId);
+                }
+            });
+
+            queueEl.addEventListener('dragstart', (e) => {
+                const item = e.target.closest('[data-queued-tech]');
+                if (!item) return;
+                e.dataTransfer.setData('text/plain', item.dataset.queuedTech);
+                e.dataTransfer.effectAllowed = 'move';
+                item.classList.add('dragging');
+            });
+
+            queueEl.addEventListener('dragend', (e) => {
+                e.target.closest('[data-queued-tech]')?.classList.remove('dragging');
+            });
+
+            queueEl.addEventListener('dragover', (e) => {
+                if (e.target.closest('[data-queued-tech]')) {
+                    e.preventDefault();
+                    e.dataTransfer.dropEffect = 'move';
+                }
+            });
+
+            queueEl.addEventListener('drop', (e) => {
+                const target = e.target.closest('[data-queued-tech]');
+                const techId = e.dataTransfer.getData('text/plain');
+                if (!target || !techId) return;
+                e.preventDefault();
+
+                // Dropping on the lower half of an item places the tech after it
+                const pending = this.progressionSystem.getPendingResearch();
+                const rect = target.getBoundingClientRect();
+                let index = pending.indexOf(target.dataset.queuedTech);
+                if (e.clientY > rect.top + rect.height / 2) index++;
+                if (pending.indexOf(techId) < index) index--;
+
+                this.progressionSystem.moveQueuedResearch(techId, index);
+            });
+        }
+
         // Tab click handlers
         this.container.querySelectorAll('.tab').forEach(tab => {
             tab.addEventListener('click', (e) => {
@@ -95,12 +163,16 @@ export class TechTreePanel {
     }
 
     render() {
+        this.renderQueue();
+
         const listEl = this.container.querySelector('#tech-list');
         if (!listEl) return;
 
         const state = this.stateManager.getState();
         const completedResearch = state.completedResearch;
         const researchQueue = state.researchQueue || [];
+        const pendingResearch = state.pendingResearch || [];
+        const planned = [...researchQueue, ...pendingResearch];
 
         // Get techs to display
         let techs;
@@ -124,15 +196,24 @@ export class TechTreePanel {
         for (const tech of techs) {
             const isCompleted = completedResearch.includes(tech.id);
             const isResearching = researchQueue.includes(tech.id);
-            const isAvailable = !isCompleted && !isResearching && tech.prerequisites.every(
+            const queuePosition = pendingResearch.indexOf(tech.id);
+            const isQueued = queuePosition > -1;
+            const isAvailable = !isCompleted && !isResearching && !isQueued && tech.prerequisites.every(
                 prereq => completedResearch.includes(prereq)
             );
-            const isLocked = !isCompleted && !isAvailable && !isResearching;
+            // Prerequisites still to come are researching or queued, so this can wait in the queue
+            const isQueueable = !isCompleted && !isResearching && !isQueued && !isAvailable && tech.prerequisites.every(
+                prereq => completedResearch.includes(prereq) || planned.includes(prereq)
+            );
+            const isLocked = !isCompleted && !isAvailable && !isResearching && !isQueued && !isQueueable;
 
             const node = this.createTechNode(tech, {
                 isCompleted,
                 isResearching,
+                isQueued,
+                queuePosition,
                 isAvailable,
+                isQueueable,
                 isLocked,
             });
 
@@ -146,7 +227,9 @@ export class TechTreePanel {
 
         if (status.isCompleted) node.classList.add('completed');
         if (status.isResearching) node.classList.add('researching');
+        if (status.isQueued) node.classList.add('queued');
         if (status.isAvailable) node.classList.add('available');
+        if (status.isQueueable) node.classList.add('queueable');
         if (status.isLocked) node.classList.add('locked');
 
         node.dataset.techId = tech.id;
@@ -160,6 +243,7 @@ export class TechTreePanel {
             <div class="tech-node-header">
                 <span class="tech-node-icon">${tech.icon}</span>
                 <span class="tech-node-name">${tech.name}</span>
+                ${status.isCompleted ? '' : this.renderPriorityToggle(tech)}
                 <span class="tech-node-era era-${tech.era}">Era ${tech.era}</span>
             </div>
             <div class="tech-node-desc">${tech.description}</div>
@@ -167,6 +251,7 @@ export class TechTreePanel {
                 <div class="tech-node-progress">
                     <div class="tech-node-progress-fill" style="width: ${progressPercent}%"></div>
                 </div>
+                ${this.renderAllocation(tech)}
             ` : ''}
             <div class="tech-node-cost">
                 ${status.isCompleted ? '✓ Completed' :
@@ -174,35 +259,139 @@ export class TechTreePanel {
                 <span class="research-status">Researching... ${progressPercent.toFixed(0)}%</span>
                 <button class="cancel-research-btn" data-tech-id="${tech.id}" title="Cancel Research">✕</button>
             ` :
-                `<span class="resource-icon research">🔬</span> ${formatNumber(tech.cost.research)}`
+            status.isQueued ? `
+                <span class="research-status">Queued #${status.queuePosition + 1}</span>
+                <button class="cancel-research-btn" data-tech-id="${tech.id}" title="Remove from Queue">✕</button>
+            ` :
+                `<span class="resource-icon research">🔬</span> ${formatNumber(tech.cost.research)}` +
+                Object.entries(getTechUpfrontCost(tech)).map(([resource, amount]) =>
+                    ` <span class="tech-node-upfront">${getResourceIcon(resource)} ${formatNumber(amount, 0)}</span>`
+                ).join('')
         }
             </div>
-            ${status.isLocked && tech.prerequisites.length > 0 ? `
+            ${(status.isLocked || status.isQueueable) && tech.prerequisites.length > 0 ? `
                 <div class="tech-node-prereq">
                     Requires: ${tech.prerequisites.map(p => TECH_TREE[p]?.name || p).join(', ')}
                 </div>
             ` : ''}
+            ${status.isLocked ? this.renderPlan(tech) : ''}
         `;
 
-        // Click handler for starting research
-        if (status.isAvailable && !status.isResearching) {
+        // Click handler for starting (or queueing) research
+        if (status.isAvailable || status.isQueueable) {
             node.addEventListener('click', () => {
                 this.startResearch(tech.id);
             });
         }
 
+        // Allocation weight slider (updated in place so dragging isn't interrupted)
+        const weightInput = node.querySelector('.research-weight');
+        if (weightInput) {
+            weightInput.addEventListener('click', (e) => e.stopPropagation());
+            weightInput.addEventListener('input', (e) => {
+                this.progressionSystem.setResearchWeight(tech.id, parseFloat(e.target.value));
+            });
+        }
+
+        const focusBtn = node.querySelector('.research-focus-btn');
+        if (focusBtn) {
+            focusBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const focused = this.progressionSystem.researchFocus === tech.id;
+                this.progressionSystem.setResearchFocus(focused ? null : tech.id);
+                this.render();
+            });
+        }
+
+        const priorityBtn = node.querySelector('.research-priority-btn');
+        if (priorityBtn) {
+            priorityBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.progressionSystem.togglePriority(tech.id);
+            });
+        }
+
+        // Queue the whole prerequisite chain
+        const planBtn = node.querySelector('.research-towards-btn');
+        if (planBtn) {
+            planBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.progressionSystem.researchTowards(tech.id);
+            });
+        }
+
         // Cancel button handler
         const cancelBtn = node.querySelector('.cancel-research-btn');
         if (cancelBtn) {
             cancelBtn.addEventListener('click', (e) => {
                 e.stopPropagation();
-                this.cancelResearch(tech.id);
+                if (status.isQueued) {
+                    this.progressionSystem.dequeueResearch(tech.id);
+                } else {
+                    this.cancelResearch(tech.id);
+                }
             });
         }
 
         return node;
     }
 
+    // Priority-list rank toggle, shown while the priority strategy is selected
+    renderPriorityToggle(tech) {
+        const settings = this.stateManager.getState().settings;
+        if (getResearchStrategy(settings.autoResearchStrategy).id !== 'priority') return '';
+
+        const rank = (settings.researchPriority || []).indexOf(tech.id);
+        return `
+            <button class="research-priority-btn ${rank > -1 ? 'active' : ''}"
+                title="${rank > -1 ? 'Remove from priority list' : 'Add to priority list'}">
+                ${rank > -1 ? `★${rank + 1}` : '☆'}
+            </button>
+        `;
+    }
+
+    // Weight slider, share and focus toggle for an active tech (only when slots are shared)
+    renderAllocation(tech) {
+        if (this.progressionSystem.researchQueue.length < 2) return '';
+
+        const focus = this.progressionSystem.researchFocus;
+        const share = this.progressionSystem.getResearchAllocation()[tech.id] || 0;
+
+        return `
+            <div class="research-allocation">
+                <input type="range" class="research-weight" min="0" max="10" step="1"
+                    value="${this.progressionSystem.getResearchWeight(tech.id)}" ${focus ? 'disabled' : ''}
+                    title="Allocation weight">
+                <span class="research-share" data-share-tech="${tech.id}">${(share * 100).toFixed(0)}%</span>
+                <button class="research-focus-btn ${focus === tech.id ? 'active' : ''}"
+                    title="${focus === tech.id ? 'Share research by weight again' : 'Put all research into this tech'}">
+                    ${focus === tech.id ? 'Unfocus' : 'Focus'}
+                </button>
+            </div>
+        `;
+    }
+
+    // Refresh the share labels after a weight change
+    updateAllocation() {
+        const allocation = this.progressionSystem.getResearchAllocation();
+        this.container.querySelectorAll('[data-share-tech]').forEach(el => {
+            el.textContent = `${((allocation[el.dataset.shareTech] || 0) * 100).toFixed(0)}%`;
+        });
+    }
+
+    // "Research towards" action with the path length and ETA for a locked tech
+    renderPlan(tech) {
+        const plan = this.progressionSystem.getResearchPlan(tech.id);
+        const eta = Number.isFinite(plan.eta) ? formatDuration(plan.eta) : '—';
+
+        return `
+            <div class="tech-node-plan">
+                <span>${plan.path.length} techs · ${formatNumber(plan.remaining)} 🔬 · ETA ${eta}</span>
+                <button class="research-towards-btn" title="Queue ${plan.toQueue.length} missing techs in order">Research towards</button>
+            </div>
+        `;
+    }
+
     cancelResearch(techId) {
         const success = this.progressionSystem.cancelResearch(techId);
         if (success) {
@@ -210,8 +399,45 @@ export class TechTreePanel {
         }
     }
 
+    // Render the pending queue as a draggable list
+    renderQueue() {
+        const queueEl = this.container.querySelector('#research-queue');
+        if (!queueEl) return;
+
+        const pending = this.progressionSystem.getPendingResearch();
+        if (pending.length === 0) {
+            queueEl.innerHTML = '';
+            return;
+        }
+
+        queueEl.innerHTML = `
+            <div class="research-queue-title">Queued (drag to reorder)</div>
+            ${pending.map((techId, index) => {
+                const tech = TECH_TREE[techId];
+                return `
+                    <div class="queue-item" draggable="true" data-queued-tech="${techId}">
+                        <div class="queue-item-icon">${tech?.icon || '?'}</div>
+                        <div class="queue-item-info">
+                            <div class="queue-item-name">${index + 1}. ${tech?.name || techId}</div>
+                            <div class="queue-item-note">${this.getQueueNote(tech)}</div>
+                        </div>
+                        <button class="queue-item-cancel" data-tech-id="${techId}" title="Remove from Queue">✕</button>
+                    </div>
+                `;
+            }).join('')}
+        `;
+    }
+
+    // Why a queued tech has not started yet
+    getQueueNote(tech) {
+        if (!tech) return '';
+        if (!this.stateManager.canResearch(tech.id)) return 'Waiting for prerequisites';
+        if (!this.stateManager.canAfford(getTechUpfrontCost(tech))) return 'Waiting for resources';
+        return 'Waiting for a free slot';
+    }
+
     startResearch(techId) {
-        const success = this.progressionSystem.startResearch(techId);
+        const success = this.progressionSystem.queueResearch(techId);
         if (success) {
             this.render();
         }
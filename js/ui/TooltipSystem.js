@@ -1,6 +1,9 @@
 // Tooltip System - Contextual hover information
 
 import { CONFIG } from '../config.js';
+import { getResourceIcon } from '../data/resources.js';
+import { getTechUpfrontCost } from '../data/techTree.js';
+import { getMaxTier, getStructureTier, getEnergyUpkeep } from '../data/structures.js';
 
 export class TooltipSystem {
     constructor() {
@@ -196,8 +199,7 @@ export class TooltipSystem {
             html += '<div class="tooltip-cost">';
             html += '<strong>Cost:</strong> ';
             const costs = Object.entries(data.cost).map(([resource, amount]) => {
-                const icon = resource === 'energy' ? '⚡' : resource === 'materials' ? '🪨' : '🔬';
-                return `${icon} ${amount}`;
+                return `${getResourceIcon(resource)} ${amount}`;
             });
             html += costs.join(', ');
             html += '</div>';
@@ -219,55 +221,10 @@ export class TooltipSystem {
             cost: structure.cost,
         };
 
-        if (structure.production) {
-            if (structure.production.energy) {
-                content.stats['Energy'] = `+${structure.production.energy}/s`;
-            }
-            if (structure.production.materials) {
-                content.stats['Materials'] = `+${structure.production.materials}/s`;
-            }
-            if (structure.production.research) {
-                content.stats['Research'] = `+${structure.production.research}/s`;
-            }
-            if (structure.production.solarCapture) {
-                content.stats['Solar Capture'] = `+${(structure.production.solarCapture * 100).toFixed(2)}%`;
-            }
-            if (structure.production.buildSpeedBonus) {
-                content.stats['Build Speed'] = `+${(structure.production.buildSpeedBonus * 100).toFixed(0)}%`;
-            }
-            if (structure.production.launchCapacity) {
-                content.stats['Launch Capacity'] = `+${structure.production.launchCapacity}`;
-            }
-            if (structure.production.cargoCapacity) {
-                content.stats['Cargo Capacity'] = `+${structure.production.cargoCapacity}`;
-            }
-            if (structure.production.population) {
-                content.stats['Population'] = `+${structure.production.population}`;
-            }
-            if (structure.production.autoConstruction) {
-                content.stats['Auto-Construct'] = `+${structure.production.autoConstruction}/min`;
-            }
-            if (structure.production.energyEfficiency) {
-                content.stats['Energy Efficiency'] = `+${(structure.production.energyEfficiency * 100).toFixed(0)}%`;
-            }
-            if (structure.production.dysonBonus) {
-                content.stats['Dyson Bonus'] = `x${structure.production.dysonBonus}`;
-            }
-            if (structure.production.exoticMaterials) {
-                content.stats['Exotic Materials'] = `+${structure.production.exoticMaterials}/s`;
-            }
-            if (structure.production.antimatter) {
-                content.stats['Antimatter'] = `+${structure.production.antimatter}/s`;
-            }
-            if (structure.production.energyStorage) {
-                content.stats['Energy Storage'] = `+${structure.production.energyStorage}`;
-            }
-            if (structure.production.solarMatter) {
-                content.stats['Solar Matter'] = `+${structure.production.solarMatter}/s`;
-            }
-            if (structure.production.computation) {
-                content.stats['Computation'] = `+${structure.production.computation}`;
-            }
+        Object.assign(content.stats, this.getProductionStats(structure.production));
+
+        if (structure.upkeep?.energy) {
+            content.stats['Energy Upkeep'] = `-${structure.upkeep.energy}/s`;
         }
 
         content.stats['Build Time'] = `${structure.buildTime}s`;
@@ -276,9 +233,83 @@ export class TooltipSystem {
             content.stats['Build Limit'] = structure.limit;
         }
 
+        // Compare each upgrade tier with the one below it
+        for (let tier = 2; tier <= getMaxTier(structure); tier++) {
+            const current = getStructureTier(structure, tier);
+            const previous = getStructureTier(structure, tier - 1);
+            const before = this.getProductionStats(previous.production);
+            const changes = Object.entries(this.getProductionStats(current.production))
+                .map(([label, value]) => `${label} ${value}${before[label] && before[label] !== value ? ` (was ${before[label]})` : ''}`);
+
+            if (getEnergyUpkeep(current) !== getEnergyUpkeep(previous)) {
+                changes.push(`Upkeep -${getEnergyUpkeep(current)}/s`);
+            }
+
+            const cost = Object.entries(current.cost)
+                .map(([resource, amount]) => `${getResourceIcon(resource)} ${amount}`)
+                .join(' ');
+            content.stats[current.tierName] = `${changes.join(', ')} · ${cost}, ${current.buildTime}s`;
+        }
+
         this.show(content, element);
     }
 
+    // Stat rows for a structure's production
+    getProductionStats(production = {}) {
+        const stats = {};
+
+        if (production.energy) {
+            stats['Energy'] = `+${production.energy}/s`;
+        }
+        if (production.materials) {
+            stats['Materials'] = `+${production.materials}/s`;
+        }
+        if (production.research) {
+            stats['Research'] = `+${production.research}/s`;
+        }
+        if (production.solarCapture) {
+            stats['Solar Capture'] = `+${(production.solarCapture * 100).toFixed(2)}%`;
+        }
+        if (production.buildSpeedBonus) {
+            stats['Build Speed'] = `+${(production.buildSpeedBonus * 100).toFixed(0)}%`;
+        }
+        if (production.launchCapacity) {
+            stats['Launch Capacity'] = `+${production.launchCapacity}`;
+        }
+        if (production.cargoCapacity) {
+            stats['Cargo Capacity'] = `+${production.cargoCapacity}`;
+        }
+        if (production.population) {
+            stats['Population'] = `+${production.population}/s`;
+        }
+        if (production.autoConstruction) {
+            stats['Auto-Construct'] = `+${production.autoConstruction}/min`;
+        }
+        if (production.energyEfficiency) {
+            stats['Energy Efficiency'] = `+${(production.energyEfficiency * 100).toFixed(0)}%`;
+        }
+        if (production.dysonBonus) {
+            stats['Dyson Bonus'] = `x${production.dysonBonus}`;
+        }
+        if (production.exoticMaterials) {
+            stats['Exotic Materials'] = `+${production.exoticMaterials}/s`;
+        }
+        if (production.antimatter) {
+            stats['Antimatter'] = `+${production.antimatter}/s`;
+        }
+        if (production.energyStorage) {
+            stats['Energy Storage'] = `+${production.energyStorage}`;
+        }
+        if (production.solarMatter) {
+            stats['Solar Matter'] = `+${production.solarMatter}/s`;
+        }
+        if (production.computation) {
+            stats['Computation'] = `+${production.computation}/s`;
+        }
+
+        return stats;
+    }
+
     // Create tooltip for a technology
     showTechTooltip(tech, element) {
         const content = {
@@ -294,6 +325,11 @@ export class TooltipSystem {
             content.stats['Requires'] = tech.prerequisites.join(', ');
         }
 
+        const upfrontCost = getTechUpfrontCost(tech);
+        if (Object.keys(upfrontCost).length > 0) {
+            content.cost = upfrontCost;
+        }
+
         if (tech.unlocks && tech.unlocks.length > 0) {
             content.hint = `Unlocks: ${tech.unlocks.join(', ')}`;
         }
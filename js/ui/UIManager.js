@@ -1,8 +1,12 @@
 // UI Manager - Coordinates all UI components and DOM management
 
 import { CONFIG } from '../config.js';
+import { STRUCTURES } from '../data/structures.js';
 import { getStateManager } from '../core/StateManager.js';
 import { getSaveSystem } from '../core/SaveSystem.js';
+import { getModLoader } from '../core/ModLoader.js';
+import { getIdleAccumulator } from '../systems/IdleAccumulator.js';
+import { getTimeManager } from '../core/TimeManager.js';
 import { getSceneManager } from '../scene/SceneManager.js';
 import { getSolarSystemBuilder } from '../scene/SolarSystemBuilder.js';
 import { getCameraController } from '../scene/CameraController.js';
@@ -11,11 +15,15 @@ import { getTechTreePanel } from './TechTreePanel.js';
 import { getBuildMenu } from './BuildMenu.js';
 import { getTooltipSystem } from './TooltipSystem.js';
 import { getTutorialOverlay } from './TutorialOverlay.js';
+import { getPrestigePanel } from './PrestigePanel.js';
+import { getBreakdownPanel } from './BreakdownPanel.js';
+import { getStandingOrdersPanel } from './StandingOrdersPanel.js';
 
 export class UIManager {
     constructor() {
         this.stateManager = getStateManager();
         this.saveSystem = null;
+        this.modLoader = null;
 
         // UI Components
         this.resourceBar = null;
@@ -23,6 +31,9 @@ export class UIManager {
         this.buildMenu = null;
         this.tooltipSystem = null;
         this.tutorialOverlay = null;
+        this.prestigePanel = null;
+        this.breakdownPanel = null;
+        this.standingOrdersPanel = null;
 
         // DOM Elements
         this.gameContainer = null;
@@ -33,10 +44,15 @@ export class UIManager {
 
         // Notification queue
         this.notifications = [];
+
+        // Last save error shown (for throttling)
+        this.lastSaveErrorReason = null;
+        this.lastSaveErrorAt = 0;
     }
 
     init() {
         this.saveSystem = getSaveSystem();
+        this.modLoader = getModLoader();
 
         // Get DOM elements
         this.gameContainer = document.getElementById('game-container');
@@ -61,12 +77,34 @@ export class UIManager {
         this.tutorialOverlay = getTutorialOverlay();
         this.tutorialOverlay.init();
 
+        this.prestigePanel = getPrestigePanel();
+        this.prestigePanel.init();
+
+        this.breakdownPanel = getBreakdownPanel();
+        this.breakdownPanel.init();
+
+        this.standingOrdersPanel = getStandingOrdersPanel();
+        this.standingOrdersPanel.init();
+
         // Setup event listeners
         this.setupEventListeners();
 
         // Subscribe to state events
         this.setupStateSubscriptions();
 
+        // Offline progress is settled before the UI exists, so show the stored result once
+        const idleAccumulator = getIdleAccumulator();
+        const offlineProgress = idleAccumulator.getOfflineProgress();
+        if (offlineProgress) {
+            this.showOfflineProgress(offlineProgress);
+            idleAccumulator.clearOfflineProgress();
+        }
+
+        // Likewise a save refused at load time
+        if (this.saveSystem.loadError) {
+            this.showLoadError(this.saveSystem.loadError);
+        }
+
         console.log('[UIManager] Initialized');
     }
 
@@ -94,9 +132,9 @@ export class UIManager {
             this.hideSettings();
         });
 
-        document.getElementById('reset-game')?.addEventListener('click', () => {
+        document.getElementById('reset-game')?.addEventListener('click', async () => {
             if (confirm('Are you sure you want to reset? All progress will be lost!')) {
-                this.saveSystem.resetGame();
+                await this.saveSystem.resetGame();
                 location.reload();
             }
         });
@@ -122,12 +160,36 @@ export class UIManager {
             this.stateManager.setSetting('autoSave', e.target.checked);
         });
 
+        document.getElementById('build-cost-mode')?.addEventListener('change', (e) => {
+            this.stateManager.setSetting('buildCostMode', e.target.value);
+        });
+
+        // Save slot handlers
+        document.getElementById('new-save-slot')?.addEventListener('click', () => {
+            this.createSaveSlot();
+        });
+
+        document.getElementById('save-slot-list')?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-slot-action]');
+            if (button) {
+                this.handleSaveSlotAction(button.dataset.slotAction, button.dataset.slot);
+            }
+        });
+
         // Export/Import save handlers
         document.getElementById('export-save')?.addEventListener('click', () => {
             this.exportSave();
         });
 
+        document.getElementById('download-save')?.addEventListener('click', () => {
+            this.downloadSave();
+        });
+
         document.getElementById('import-save')?.addEventListener('click', () => {
+            this.importSaveText(document.getElementById('save-transfer-text')?.value);
+        });
+
+        document.getElementById('import-file')?.addEventListener('click', () => {
             document.getElementById('import-file-input')?.click();
         });
 
@@ -135,19 +197,40 @@ export class UIManager {
             this.importSave(e);
         });
 
+        // Content pack handlers
+        document.getElementById('install-pack')?.addEventListener('click', () => {
+            document.getElementById('install-pack-input')?.click();
+        });
+
+        document.getElementById('install-pack-input')?.addEventListener('change', (e) => {
+            this.installContentPack(e);
+        });
+
+        document.getElementById('content-pack-list')?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-pack-remove]');
+            if (button) {
+                this.uninstallContentPack(button.dataset.packRemove);
+            }
+        });
+
         // Victory screen buttons
         document.getElementById('continue-playing')?.addEventListener('click', () => {
             this.hideVictory();
         });
 
+        document.getElementById('victory-ascend')?.addEventListener('click', () => {
+            this.hideVictory();
+            this.prestigePanel.show();
+        });
+
         document.getElementById('sandbox-mode')?.addEventListener('click', () => {
             this.stateManager.set('flags.sandboxMode', true);
             this.hideVictory();
         });
 
-        document.getElementById('new-game')?.addEventListener('click', () => {
+        document.getElementById('new-game')?.addEventListener('click', async () => {
             if (confirm('Start a new game? Current progress will be lost!')) {
-                this.saveSystem.resetGame();
+                await this.saveSystem.resetGame();
                 location.reload();
             }
         });
@@ -157,6 +240,14 @@ export class UIManager {
             this.handleKeyPress(e);
         });
 
+        // Decommission the selected structure
+        document.getElementById('selection-info')?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-decommission]');
+            if (button) {
+                this.buildMenu.decommission(button.dataset.decommission, button.dataset.body);
+            }
+        });
+
         // Planet selector
         document.getElementById('planet-select')?.addEventListener('change', (e) => {
             const targetId = e.target.value;
@@ -212,6 +303,32 @@ export class UIManager {
         this.stateManager.subscribe('state:ui.selectedObject', ({ newValue }) => {
             this.updateSelectionInfo(newValue);
         });
+        this.stateManager.subscribe('structure:removed', () => {
+            this.updateSelectionInfo(this.stateManager.getState().ui.selectedObject);
+        });
+
+        // Save slot list changes
+        this.stateManager.subscribe('save:slots', () => this.renderSaveSlots());
+        this.stateManager.subscribe('save:complete', () => {
+            if (!this.settingsModal?.classList.contains('hidden')) {
+                this.renderSaveSlots();
+            }
+        });
+
+        // Save failures (throttled so auto-save doesn't repeat the same warning)
+        this.stateManager.subscribe('save:error', ({ reason, message }) => {
+            const now = Date.now();
+            if (reason === this.lastSaveErrorReason && now - this.lastSaveErrorAt < 60000) return;
+
+            this.lastSaveErrorReason = reason;
+            this.lastSaveErrorAt = now;
+            this.stateManager.emit('notification', {
+                type: 'error',
+                title: reason === 'quota_exceeded' ? 'Storage Full' : 'Save Failed',
+                message,
+                duration: 8000,
+            });
+        });
 
         // Offline progress
         this.stateManager.subscribe('offline:progress', (data) => {
@@ -223,6 +340,8 @@ export class UIManager {
         // Escape closes modals
         if (e.key === 'Escape') {
             this.hideSettings();
+            this.prestigePanel.hide();
+            this.breakdownPanel.hide();
         }
 
         // B for build menu
@@ -263,6 +382,12 @@ export class UIManager {
         const autoSave = document.getElementById('auto-save');
         if (autoSave) autoSave.checked = settings.autoSave;
 
+        const costMode = document.getElementById('build-cost-mode');
+        if (costMode) costMode.value = settings.buildCostMode;
+
+        this.renderSaveSlots();
+        this.renderContentPacks();
+
         this.settingsModal?.classList.remove('hidden');
     }
 
@@ -270,15 +395,266 @@ export class UIManager {
         this.settingsModal?.classList.add('hidden');
     }
 
-    // Export save to JSON file download
-    exportSave() {
-        const saveData = this.saveSystem.exportSave();
-        const blob = new Blob([saveData], { type: 'application/json' });
+    // Render the save slot picker
+    renderSaveSlots() {
+        const list = document.getElementById('save-slot-list');
+        if (!list) return;
+
+        const timeManager = getTimeManager();
+        const slots = this.saveSystem.getSlots();
+
+        list.innerHTML = slots.map(slot => {
+            const header = slot.header;
+            const meta = header
+                ? `Era ${header.era} · ${(header.solarCapture * 100).toFixed(4)}% solar · ` +
+                  `${timeManager.formatTime(header.playTime)} played · ` +
+                  `saved ${header.lastSavedAt ? new Date(header.lastSavedAt).toLocaleString() : 'never'}`
+                : 'Empty';
+
+            return `
+                <div class="save-slot ${slot.active ? 'active' : ''}">
+                    <div class="save-slot-name">${this.escapeHtml(slot.name)}${slot.active ? ' (current)' : ''}</div>
+                    <div class="save-slot-meta">${meta}</div>
+                    <div class="save-slot-actions">
+                        ${slot.active ? '' : `<button class="btn btn-primary" data-slot-action="load" data-slot="${slot.id}">Load</button>`}
+                        <button class="btn" data-slot-action="copy" data-slot="${slot.id}">Copy</button>
+                        <button class="btn" data-slot-action="rename" data-slot="${slot.id}">Rename</button>
+                        ${slot.active ? '' : `<button class="btn btn-danger" data-slot-action="delete" data-slot="${slot.id}">Delete</button>`}
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        const newSlotButton = document.getElementById('new-save-slot');
+        if (newSlotButton) {
+            newSlotButton.disabled = slots.length >= CONFIG.SAVE_SLOTS;
+        }
+    }
+
+    // Escape user-entered text for innerHTML
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    // Create a new empty slot
+    async createSaveSlot() {
+        const name = prompt('Name for the new save slot:');
+        if (name === null) return;
+
+        const result = await this.saveSystem.createSlot(name);
+        if (!result.success) {
+            this.showSaveSlotError(result.reason);
+        }
+    }
+
+    // Handle a button in the slot picker
+    async handleSaveSlotAction(action, slotId) {
+        const slot = this.saveSystem.getSlots().find(s => s.id === slotId);
+        if (!slot) return;
+
+        let result = { success: true };
+
+        if (action === 'load') {
+            const message = slot.hasData
+                ? `Load "${slot.name}"? Your current game will be saved first.`
+                : `"${slot.name}" is empty. Start a new game there? Your current game will be saved first.`;
+            if (!confirm(message)) return;
+
+            result = await this.saveSystem.switchSlot(slotId);
+            if (result.success) {
+                location.reload();
+                return;
+            }
+        } else if (action === 'copy') {
+            result = await this.saveSystem.copySlot(slotId);
+        } else if (action === 'rename') {
+            const name = prompt('Rename save slot:', slot.name);
+            if (name === null) return;
+            result = await this.saveSystem.renameSlot(slotId, name);
+        } else if (action === 'delete') {
+            if (!confirm(`Delete "${slot.name}" and its backups? This cannot be undone.`)) return;
+            result = await this.saveSystem.deleteSlot(slotId);
+        }
+
+        if (!result.success) {
+            this.showSaveSlotError(result.reason);
+        }
+    }
+
+    // Render installed content packs
+    renderContentPacks() {
+        const list = document.getElementById('content-pack-list');
+        if (!list) return;
+
+        const packs = this.modLoader.getInstalledPacks();
+        if (packs.length === 0) {
+            list.innerHTML = '<p class="setting-hint">No content packs installed.</p>';
+            return;
+        }
+
+        list.innerHTML = packs.map(pack => {
+            const status = pack.errors
+                ? `<span class="content-pack-status error">Not loaded: ${this.escapeHtml(pack.errors[0])}</span>`
+                : `<span class="content-pack-status">${pack.active ? 'Active' : 'Active after reload'}</span>`;
+
+            return `
+                <div class="content-pack">
+                    <div class="content-pack-name">${this.escapeHtml(pack.name)} <span class="content-pack-version">${this.escapeHtml(pack.version)}</span></div>
+                    ${pack.description ? `<div class="content-pack-meta">${this.escapeHtml(pack.description)}</div>` : ''}
+                    <div class="content-pack-meta">${status}</div>
+                    <button class="btn btn-danger" data-pack-remove="${this.escapeHtml(pack.id)}">Remove</button>
+                </div>
+            `;
+        }).join('');
+    }
+
+    // Install a content pack from a .json file, then reload to apply it
+    installContentPack(event) {
+        const file = event.target.files?.[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = async (e) => {
+            const result = await this.modLoader.install(e.target.result);
+
+            if (!result.success) {
+                this.stateManager.emit('notification', {
+                    type: 'error',
+                    title: 'Pack Rejected',
+                    message: result.reason === 'invalid_json'
+                        ? 'The pack file is not valid JSON.'
+                        : result.errors.slice(0, 3).join(' '),
+                    duration: 8000,
+                });
+                return;
+            }
+
+            this.renderContentPacks();
+            if (confirm(`"${result.pack.name}" installed. Reload now to apply it? Your game will be saved first.`)) {
+                await this.saveSystem.save();
+                location.reload();
+            }
+        };
+        reader.onerror = () => {
+            this.stateManager.emit('notification', {
+                type: 'error',
+                title: 'Pack Rejected',
+                message: 'Could not read pack file.',
+                duration: 4000,
+            });
+        };
+
+        reader.readAsText(file);
+
+        // Reset file input so the same file can be selected again
+        event.target.value = '';
+    }
+
+    // Remove a content pack, then reload to apply the change
+    async uninstallContentPack(packId) {
+        const pack = this.modLoader.getInstalledPacks().find(p => p.id === packId);
+        if (!pack) return;
+
+        const inUse = this.modLoader.getActivePacks().some(p => p.id === packId);
+        const message = inUse
+            ? `Remove "${pack.name}"? Saves made with it will not load until it is installed again.`
+            : `Remove "${pack.name}"?`;
+        if (!confirm(message)) return;
+
+        const result = await this.modLoader.uninstall(packId);
+        if (!result.success) return;
+
+        if (inUse) {
+            await this.saveSystem.save();
+            location.reload();
+        } else {
+            this.renderContentPacks();
+        }
+    }
+
+    // Explain why the active slot's save was not loaded
+    showLoadError({ reason, missing = [], version }) {
+        if (reason === 'newer_version') {
+            this.stateManager.emit('notification', {
+                type: 'error',
+                title: 'Save From a Newer Version',
+                message: `This save was made with version ${version} of the game (this is ${CONFIG.VERSION}). Update the game to continue it; saving is paused until then.`,
+                duration: 15000,
+            });
+            return;
+        }
+        if (reason !== 'missing_mods') return;
+
+        this.stateManager.emit('notification', {
+            type: 'error',
+            title: 'Content Packs Missing',
+            message: `This save needs ${this.formatPackList(missing)}. Install them and reload to continue it; saving is paused until then.`,
+            duration: 15000,
+        });
+    }
+
+    // "Name 1.0, Other 2.1 (1.0 installed)" for a list of pack references
+    formatPackList(packs) {
+        return packs.map(pack => {
+            const label = `${pack.name || pack.id} ${pack.version || ''}`.trim();
+            return pack.activeVersion ? `${label} (${pack.activeVersion} installed)` : label;
+        }).join(', ');
+    }
+
+    // Notify about a failed slot operation
+    showSaveSlotError(reason) {
+        const messages = {
+            slots_full: `All ${CONFIG.SAVE_SLOTS} save slots are in use. Delete one first.`,
+            unknown_slot: 'That save slot no longer exists.',
+            invalid_name: 'Slot names cannot be empty.',
+            active_slot: 'You cannot delete the slot you are playing.',
+        };
+
+        this.stateManager.emit('notification', {
+            type: 'error',
+            title: 'Save Slots',
+            message: messages[reason] || 'Save slot operation failed.',
+            duration: 4000,
+        });
+    }
+
+    // Export save code into the transfer box and the clipboard
+    async exportSave() {
+        const saveCode = await this.saveSystem.exportSave();
+
+        const textArea = document.getElementById('save-transfer-text');
+        if (textArea) {
+            textArea.value = saveCode;
+            textArea.select();
+        }
+
+        let copied = false;
+        try {
+            await navigator.clipboard.writeText(saveCode);
+            copied = true;
+        } catch (error) {
+            // Clipboard can be blocked; the code is still selected in the box
+        }
+
+        this.stateManager.emit('notification', {
+            type: 'success',
+            title: 'Save Exported',
+            message: copied ? 'Save code copied to clipboard.' : 'Save code is in the box below. Copy it to keep it.',
+            duration: 3000,
+        });
+    }
+
+    // Download save code as a text file
+    async downloadSave() {
+        const saveCode = await this.saveSystem.exportSave();
+        const blob = new Blob([saveCode], { type: 'text/plain' });
         const url = URL.createObjectURL(blob);
 
         const a = document.createElement('a');
         a.href = url;
-        a.download = `solar-k2-save-${new Date().toISOString().split('T')[0]}.json`;
+        a.download = `solar-k2-save-${new Date().toISOString().split('T')[0]}.txt`;
         document.body.appendChild(a);
         a.click();
         document.body.removeChild(a);
@@ -299,39 +675,10 @@ export class UIManager {
 
         const reader = new FileReader();
         reader.onload = (e) => {
-            try {
-                const jsonString = e.target.result;
-                const success = this.saveSystem.importSave(jsonString);
-
-                if (success) {
-                    this.stateManager.emit('notification', {
-                        type: 'success',
-                        title: 'Save Imported',
-                        message: 'Your progress has been restored. Reloading...',
-                        duration: 2000,
-                    });
-
-                    // Reload the page to apply imported save
-                    setTimeout(() => {
-                        location.reload();
-                    }, 2000);
-                } else {
-                    this.stateManager.emit('notification', {
-                        type: 'error',
-                        title: 'Import Failed',
-                        message: 'Invalid save file format.',
-                        duration: 4000,
-                    });
-                }
-            } catch (error) {
-                console.error('[UIManager] Import error:', error);
-                this.stateManager.emit('notification', {
-                    type: 'error',
-                    title: 'Import Failed',
-                    message: 'Could not read save file.',
-                    duration: 4000,
-                });
-            }
+            this.importSaveText(e.target.result);
+        };
+        reader.onerror = () => {
+            this.showImportError('unreadable_file');
         };
 
         reader.readAsText(file);
@@ -340,6 +687,52 @@ export class UIManager {
         event.target.value = '';
     }
 
+    // Import a pasted or loaded save code (or legacy JSON)
+    async importSaveText(text) {
+        const result = await this.saveSystem.importSave(text);
+
+        if (!result.success) {
+            this.showImportError(result.reason, result.missing);
+            return;
+        }
+
+        this.stateManager.emit('notification', {
+            type: 'success',
+            title: 'Save Imported',
+            message: 'Your progress has been restored. Reloading...',
+            duration: 2000,
+        });
+
+        // Reload the page to apply imported save
+        setTimeout(() => {
+            location.reload();
+        }, 2000);
+    }
+
+    // Notify about a rejected import
+    showImportError(reason, missing = []) {
+        const messages = {
+            empty: 'Paste a save code or choose a file first.',
+            unknown_format: 'That is not a Solar K2 save code.',
+            unsupported_format: 'This save code comes from a newer version of the game.',
+            newer_version: 'This save comes from a newer version of the game.',
+            truncated: 'The save code is incomplete. Make sure you copied all of it.',
+            checksum_mismatch: 'The save code has been altered or damaged.',
+            invalid_json: 'The save file is not valid JSON.',
+            invalid_save: 'The save data is missing required fields.',
+            load_failed: 'The save could not be loaded.',
+            missing_mods: `This save needs content packs that are not installed or are at another version: ${this.formatPackList(missing)}.`,
+            unreadable_file: 'Could not read save file.',
+        };
+
+        this.stateManager.emit('notification', {
+            type: 'error',
+            title: 'Import Failed',
+            message: messages[reason] || 'Invalid save format.',
+            duration: 4000,
+        });
+    }
+
     showVictory(data) {
         // Update victory stats
         const statsEl = document.getElementById('victory-stats');
@@ -392,32 +785,22 @@ export class UIManager {
     }
 
     showOfflineProgress(data) {
-        const { offlineSeconds, gains } = data;
-
-        // Format time
-        let timeStr;
-        if (offlineSeconds < 60) {
-            timeStr = `${Math.floor(offlineSeconds)} seconds`;
-        } else if (offlineSeconds < 3600) {
-            timeStr = `${Math.floor(offlineSeconds / 60)} minutes`;
-        } else {
-            timeStr = `${(offlineSeconds / 3600).toFixed(1)} hours`;
-        }
+        const summary = getIdleAccumulator().getOfflineProgressSummary(data);
+        if (!summary) return;
 
-        // Build gains message
-        const gainParts = [];
-        if (gains.energy > 0) gainParts.push(`+${this.formatNumber(gains.energy)} Energy`);
-        if (gains.materials > 0) gainParts.push(`+${this.formatNumber(gains.materials)} Materials`);
-        if (gains.research > 0) gainParts.push(`+${this.formatNumber(gains.research)} Research`);
-
-        if (gainParts.length > 0) {
-            this.showNotification({
-                type: 'success',
-                title: 'Welcome Back!',
-                message: `While you were away for ${timeStr}: ${gainParts.join(', ')}`,
-                duration: 8000,
-            });
-        }
+        const { gains, built, researched } = summary;
+        if (gains.length === 0 && built.length === 0 && researched.length === 0) return;
+
+        let message = `${summary.summary} ${gains.join(', ')}`;
+        if (built.length > 0) message += `<br>Built: ${built.join(', ')}`;
+        if (researched.length > 0) message += `<br>Researched: ${researched.join(', ')}`;
+
+        this.showNotification({
+            type: 'success',
+            title: summary.title,
+            message,
+            duration: 8000,
+        });
     }
 
     updateEraDisplay(era) {
@@ -458,11 +841,24 @@ export class UIManager {
                 <div class="selection-details">
                     <h3>${selection.name}</h3>
                     <p>${selection.data?.description || selection.type}</p>
+                    ${this.renderStructureActions(selection)}
                 </div>
             </div>
         `;
     }
 
+    // Decommission button for a selected structure mesh
+    renderStructureActions(selection) {
+        const { structureId, bodyId } = selection.data || {};
+        if (selection.type !== 'structure' || !STRUCTURES[structureId]) return '';
+
+        const count = this.stateManager.getStructureCountAt(bodyId, structureId);
+        return `
+            <p>${count} at this location</p>
+            <button class="btn selection-action" data-decommission="${structureId}" data-body="${bodyId}">Decommission</button>
+        `;
+    }
+
     getSelectionIcon(type) {
         switch (type) {
             case 'star': return '☀️';
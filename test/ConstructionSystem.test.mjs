@@ -0,0 +1,116 @@
+// ConstructionSystem tests - run with `node --test test/`
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG } from '../js/config.js';
+import { STRUCTURES } from '../js/data/structures.js';
+import { createSimulation } from '../tools/simulate.mjs';
+
+// Systems log as they initialize; keep test output readable
+const log = console.log;
+before(() => { console.log = () => {}; });
+after(() => { console.log = log; });
+
+// A simulation with solar collectors unlocked, plenty of resources and a fixed number of lanes
+function createRichSimulation(lanes) {
+    const sim = createSimulation();
+    sim.constructionSystem.getLaneCount = () => lanes;
+    sim.stateManager.state.completedResearch.push('solar_panels');
+    Object.assign(sim.stateManager.state.resources, { energy: 1e6, materials: 1e6 });
+    return sim;
+}
+
+// Queue a solar collector, failing the test if it is refused
+function queueCollector(constructionSystem) {
+    const result = constructionSystem.build('solar_collector');
+    assert.equal(result.success, true, result.reason);
+}
+
+test('split lanes each build at the full build speed', () => {
+    const { constructionSystem, resourceSystem } = createRichSimulation(2);
+    const buildSpeed = resourceSystem.getBuildSpeed();
+
+    queueCollector(constructionSystem);
+    queueCollector(constructionSystem);
+    constructionSystem.update(1);
+
+    assert.deepEqual(constructionSystem.getQueue().map(item => item.progress), [buildSpeed, buildSpeed]);
+});
+
+for (const mode of ['split', 'pooled']) {
+    test(`a lone ${mode} build does not slow down when a lane is added`, () => {
+        const { constructionSystem } = createRichSimulation(1);
+        constructionSystem.setLaneMode(mode);
+        queueCollector(constructionSystem);
+        const item = constructionSystem.getQueue()[0];
+
+        constructionSystem.update(1);
+        const oneLane = item.progress;
+
+        constructionSystem.getLaneCount = () => 2;
+        constructionSystem.update(1);
+
+        assert.equal(item.progress - oneLane, oneLane);
+    });
+}
+
+test('pooled lanes share build speed among the items actually building', () => {
+    const { constructionSystem, resourceSystem } = createRichSimulation(2);
+    const buildSpeed = resourceSystem.getBuildSpeed();
+    constructionSystem.setLaneMode('pooled');
+
+    queueCollector(constructionSystem);
+    assert.equal(constructionSystem.getLaneSpeed(), buildSpeed);
+
+    queueCollector(constructionSystem);
+    assert.equal(constructionSystem.getLaneSpeed(), buildSpeed / 2);
+
+    // A stalled item gives its share back
+    constructionSystem.getQueue()[1].waitingFor = 'materials';
+    assert.equal(constructionSystem.getBusyLaneCount(), 1);
+    assert.equal(constructionSystem.getLaneSpeed(), buildSpeed);
+});
+
+test('progressive builds count as affordable once the first tick can be paid', () => {
+    const { constructionSystem, stateManager } = createRichSimulation(1);
+    Object.assign(stateManager.state.resources, { energy: 1, materials: 1 });
+
+    assert.equal(constructionSystem.getStructureStatus('solar_collector').canBuild, false);
+
+    constructionSystem.setCostMode('progressive');
+    const status = constructionSystem.getStructureStatus('solar_collector');
+    assert.equal(status.affordable, true);
+    assert.equal(status.canBuild, true);
+
+    stateManager.state.resources.materials = 0;
+    assert.equal(constructionSystem.getStructureStatus('solar_collector').affordable, false);
+});
+
+test('decommissioning an upgraded structure salvages its upgrades too', () => {
+    const { constructionSystem, stateManager } = createRichSimulation(1);
+    const { cost, tiers } = STRUCTURES.solar_collector;
+    const fraction = CONFIG.CONSTRUCTION.SALVAGE_FRACTION;
+    stateManager.addStructure('solar_collector', 1, 'earth');
+    stateManager.upgradeStructure('solar_collector', 'earth', 1, 2);
+    stateManager.upgradeStructure('solar_collector', 'earth', 2, 3);
+
+    const materials = stateManager.state.resources.materials;
+    const result = constructionSystem.decommission('solar_collector', { bodyId: 'earth' });
+
+    const expected = Math.floor((cost.materials + tiers[0].cost.materials + tiers[1].cost.materials) * fraction);
+    assert.equal(result.salvage.materials, expected);
+    assert.equal(stateManager.state.resources.materials, materials + expected);
+});
+
+test('a maintain order for a body only counts what is at that body', () => {
+    const { constructionSystem, stateManager, placementRegistry } = createRichSimulation(1);
+    const bodyId = ['moon', 'mercury', 'venus', 'mars']
+        .find(id => placementRegistry.canPlace('solar_collector', id).success);
+    assert.ok(bodyId, 'no second body can host a solar collector');
+    stateManager.addStructure('solar_collector', 3, 'earth');
+
+    constructionSystem.addStandingOrder({ type: 'maintain', structureId: 'solar_collector', count: 2, bodyId });
+    constructionSystem.evaluateStandingOrders();
+
+    assert.deepEqual(constructionSystem.getQueue().map(item => item.bodyId), [bodyId]);
+});
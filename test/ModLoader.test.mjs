@@ -0,0 +1,45 @@
+// ModLoader tests - run with `node --test test/`
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { ModLoader } from '../js/core/ModLoader.js';
+import { MemoryStorageAdapter } from '../js/core/Storage.js';
+
+// Systems log as they initialize; keep test output readable
+const log = console.log;
+before(() => { console.log = () => {}; });
+after(() => { console.log = log; });
+
+const MODS_KEY = 'solarK2Bootstrapper_mods';
+
+// A mod loader started over storage that already holds the given packs
+async function createModLoader(installed = []) {
+    const storage = new MemoryStorageAdapter();
+    await storage.set(MODS_KEY, JSON.stringify(installed));
+
+    const modLoader = new ModLoader({ storage });
+    await modLoader.init();
+    return modLoader;
+}
+
+test('reinstalling a rejected pack replaces it instead of adding a second copy', async () => {
+    const broken = { id: 'faster_panels', name: 'Faster Panels', version: '1.0.0', structures: { solar_collector: { requiresTech: 'no_such_tech' } } };
+    const modLoader = await createModLoader([broken]);
+    assert.equal(modLoader.rejected.length, 1);
+
+    const fixed = { id: 'faster_panels', name: 'Faster Panels', version: '1.0.1' };
+    const result = await modLoader.install(JSON.stringify(fixed));
+
+    assert.equal(result.success, true);
+    assert.deepEqual(modLoader.getInstalledPacks().map(pack => [pack.id, pack.version]), [['faster_panels', '1.0.1']]);
+    assert.deepEqual(JSON.parse(await modLoader.storage.get(MODS_KEY)), [fixed]);
+});
+
+test('a save made with another version of an active pack reports it as missing', async () => {
+    const modLoader = await createModLoader([{ id: 'flavour_text', name: 'Flavour Text', version: '1.0.0' }]);
+
+    assert.deepEqual(modLoader.getMissingPacks([{ id: 'flavour_text', name: 'Flavour Text', version: '1.0.0' }]), []);
+    assert.deepEqual(modLoader.getMissingPacks([{ id: 'flavour_text', name: 'Flavour Text', version: '2.0.0' }]), [
+        { id: 'flavour_text', name: 'Flavour Text', version: '2.0.0', activeVersion: '1.0.0' },
+    ]);
+});
@@ -0,0 +1,151 @@
+// SaveMigrations tests - run with `node --test test/`
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { CONFIG } from '../js/config.js';
+import { runMigrations, validateSaveState } from '../js/core/SaveMigrations.js';
+import { StateManager } from '../js/core/StateManager.js';
+import { SaveSystem } from '../js/core/SaveSystem.js';
+import { MemoryStorageAdapter } from '../js/core/Storage.js';
+import { ManualClock } from '../js/core/Clock.js';
+import { createSimulation } from '../tools/simulate.mjs';
+
+// Systems log as they initialize; keep test output readable
+const log = console.log;
+before(() => { console.log = () => {}; });
+after(() => { console.log = log; });
+
+// Saves as they were written by each released version
+const FIXTURE_VERSIONS = ['1.0.0', '1.1.0', '1.2.0'];
+
+function loadFixture(version) {
+    return JSON.parse(readFileSync(new URL(`./fixtures/save-${version}.json`, import.meta.url), 'utf8'));
+}
+
+for (const version of FIXTURE_VERSIONS) {
+    test(`a ${version} save migrates to a valid current save`, () => {
+        const result = runMigrations(loadFixture(version));
+
+        assert.equal(result.success, true, result.errors?.join('; '));
+        assert.equal(result.fromVersion, version);
+        assert.equal(result.state.version, CONFIG.VERSION);
+        assert.deepEqual(validateSaveState(result.state).errors, []);
+
+        assert.equal('currentResearch' in result.state, false);
+        assert.equal('researchProgress' in result.state, false);
+        for (const item of result.state.constructionQueue) {
+            assert.ok(item.bodyId, `${item.id} has no bodyId`);
+            assert.equal('position' in item, false);
+        }
+    });
+}
+
+test('1.0.0 structures and queue are placed on their default bodies', () => {
+    const { state } = runMigrations(loadFixture('1.0.0'));
+
+    assert.deepEqual(state.placements, {
+        earth: { launch_pad: 1, solar_collector: 4, mining_outpost: 2 },
+        asteroid_belt: { asteroid_miner: 1 },
+    });
+    assert.deepEqual(state.constructionQueue.map(item => item.bodyId), ['earth', 'mercury']);
+    assert.deepEqual(state.researchQueue, ['orbital_mechanics']);
+    assert.deepEqual(state.researchProgressMap, { orbital_mechanics: 12.5 });
+});
+
+test('1.1.0 placements and queue bodies are kept as saved', () => {
+    const fixture = loadFixture('1.1.0');
+    const { state } = runMigrations(fixture);
+
+    assert.deepEqual(state.placements, fixture.placements);
+    assert.equal(state.constructionQueue[0].bodyId, 'moon');
+    assert.deepEqual(state.researchQueue, ['material_science']);
+    assert.deepEqual(state.researchProgressMap, { material_science: 40 });
+});
+
+test('previewMigration reports the diff without touching its input', () => {
+    const clock = new ManualClock(1000);
+    const saveSystem = new SaveSystem({ stateManager: new StateManager({ clock }), storage: new MemoryStorageAdapter(), clock });
+    const fixture = loadFixture('1.0.0');
+    const original = JSON.parse(JSON.stringify(fixture));
+
+    const report = saveSystem.previewMigration(fixture);
+
+    assert.deepEqual(fixture, original);
+    assert.equal(report.success, true);
+    assert.equal('state' in report, false);
+    assert.deepEqual(report.steps.map(step => step.version), ['1.1.0', '1.2.0', '1.3.0']);
+
+    const [placeStep, researchStep] = report.steps;
+    assert.ok(placeStep.changes.some(change => change.type === 'added' && change.path === 'placements'));
+    assert.ok(placeStep.changes.some(change => change.type === 'changed' && change.path === 'constructionQueue'));
+    assert.ok(researchStep.changes.some(change => change.type === 'removed' && change.path === 'currentResearch'));
+    assert.ok(researchStep.changes.some(change => change.type === 'removed' && change.path === 'researchProgress'));
+});
+
+test('a save that fails its own version schema is rejected', () => {
+    const fixture = loadFixture('1.1.0');
+    fixture.constructionQueue.push({ id: 'build_9', structureId: 'solar_collector' });
+
+    const result = runMigrations(fixture);
+
+    assert.equal(result.success, false);
+    assert.equal(result.reason, 'invalid_save');
+});
+
+test('a save from the current game passes the schema', () => {
+    const { stateManager, constructionSystem } = createSimulation();
+    stateManager.state.resources.materials = 1e6;
+    stateManager.state.resources.energy = 1e6;
+    constructionSystem.setCostMode('progressive');
+    constructionSystem.build('solar_collector');
+    constructionSystem.addStandingOrder({ type: 'maintain', structureId: 'solar_collector', count: 3 });
+
+    assert.deepEqual(validateSaveState(stateManager.getSerializableState()).errors, []);
+});
+
+// A malformed value for each checked field a current save carries
+const MALFORMED_FIELDS = {
+    researchProgressMap: { life_support: 'half' },
+    prestige: { currency: 'lots' },
+    power: { supply: 'full' },
+    resources: { energy: 10, materials: 10, research: 0, antimatter: -5 },
+    pendingResearch: [42],
+    researchWeights: { life_support: 'heavy' },
+    researchFocus: 7,
+    standingOrders: [{ type: 'forever', structureId: 'solar_collector' }],
+    constructionQueue: [{ id: 'build_1', structureId: 'solar_collector', bodyId: 'earth', costMode: 'progressive' }],
+    structureTiers: { earth: { solar_collector: 3 } },
+};
+
+for (const [path, value] of Object.entries(MALFORMED_FIELDS)) {
+    test(`importing a save with a malformed ${path} fails validation instead of loading`, async () => {
+        const clock = new ManualClock(1000);
+        const stateManager = new StateManager({ clock });
+        stateManager.setSetting('autoSave', false);
+        const saveSystem = new SaveSystem({ stateManager, storage: new MemoryStorageAdapter(), clock });
+        await saveSystem.init();
+
+        const broken = stateManager.getSerializableState();
+        broken[path] = value;
+        const before = JSON.stringify(stateManager.getState()[path]);
+
+        const result = await saveSystem.importSave(JSON.stringify(broken));
+
+        assert.equal(result.success, false);
+        assert.equal(result.reason, 'invalid_save');
+        assert.deepEqual(result.errors.map(error => error.split(' ')[0]), [path]);
+        assert.equal(JSON.stringify(stateManager.getState()[path]), before);
+    });
+}
+
+test('a queued upgrade without its tier step fails validation', () => {
+    const { stateManager } = createSimulation();
+    const state = stateManager.getSerializableState();
+    state.constructionQueue = [{ id: 'up_1', type: 'upgrade', structureId: 'solar_collector', bodyId: 'earth', fromTier: 1 }];
+
+    assert.deepEqual(validateSaveState(state).errors, ['constructionQueue items have an unknown type or are missing their tier step']);
+
+    state.constructionQueue[0].tier = 2;
+    assert.deepEqual(validateSaveState(state).errors, []);
+});
@@ -0,0 +1,128 @@
+// SaveSystem tests - run with `node --test test/`
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { StateManager } from '../js/core/StateManager.js';
+import { SaveSystem } from '../js/core/SaveSystem.js';
+import { MemoryStorageAdapter } from '../js/core/Storage.js';
+import { ManualClock } from '../js/core/Clock.js';
+import { getModLoader } from '../js/core/ModLoader.js';
+
+// Systems log as they initialize; keep test output readable
+const log = console.log;
+before(() => { console.log = () => {}; });
+after(() => { console.log = log; });
+
+// Synchronous Storage stand-in for localStorage
+class FakeLocalStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+}
+
+// Auto-save timers would keep the test process alive
+function createStateManager(clock) {
+    const stateManager = new StateManager({ clock });
+    stateManager.setSetting('autoSave', false);
+    return stateManager;
+}
+
+// A save system over memory storage whose async writes never complete (a page being torn down)
+async function createClosingPage() {
+    const clock = new ManualClock(1000);
+    const storage = new MemoryStorageAdapter();
+    const emergencyStorage = new FakeLocalStorage();
+    const modLoader = getModLoader();
+
+    const saveSystem = new SaveSystem({ stateManager: createStateManager(clock), storage, emergencyStorage, clock, modLoader });
+    await saveSystem.init();
+    await saveSystem.save();
+
+    return { clock, storage, emergencyStorage, modLoader, saveSystem };
+}
+
+test('flushSave keeps progress when the async write never lands', async () => {
+    const { clock, storage, emergencyStorage, modLoader, saveSystem } = await createClosingPage();
+
+    clock.advance(20);
+    saveSystem.stateManager.state.resources.materials = 12345;
+    storage.set = () => new Promise(() => {}); // Torn down before the put runs
+    assert.equal(saveSystem.flushSave(), true);
+
+    // Next page load reads the same storage
+    delete storage.set;
+    const reloaded = new SaveSystem({ stateManager: createStateManager(clock), storage, emergencyStorage, clock, modLoader });
+    await reloaded.init();
+
+    assert.equal(reloaded.stateManager.state.resources.materials, 12345);
+});
+
+test('a completed save supersedes an older emergency snapshot', async () => {
+    const { clock, emergencyStorage, saveSystem } = await createClosingPage();
+
+    saveSystem.flushSave();
+    clock.advance(5);
+    saveSystem.stateManager.state.resources.materials = 777;
+    await saveSystem.save();
+
+    assert.equal(emergencyStorage.items.size, 0);
+});
+
+test('a backup that needs missing content packs is refused like the main save', async () => {
+    const { clock, storage, emergencyStorage, modLoader, saveSystem } = await createClosingPage();
+
+    // A second save backs up the first one
+    clock.advance(10);
+    await saveSystem.save();
+    const slotId = saveSystem.slotIndex.activeSlot;
+    const [backupTime] = saveSystem.getBackups(slotId);
+    const backupKey = saveSystem.getBackupKey(slotId, backupTime);
+
+    const backup = JSON.parse(await storage.get(backupKey));
+    backup.mods = [{ id: 'ghost_pack', name: 'Ghost Pack', version: '1.0.0' }];
+    backup.resources.materials = 999;
+    await storage.set(backupKey, JSON.stringify(backup));
+    await storage.set(saveSystem.getSlotKey(slotId), '{ not json');
+
+    const reloaded = new SaveSystem({ stateManager: createStateManager(clock), storage, emergencyStorage, clock, modLoader });
+    await reloaded.init();
+
+    assert.equal(reloaded.locked, true);
+    assert.equal(reloaded.loadError.reason, 'missing_mods');
+    assert.notEqual(reloaded.stateManager.state.resources.materials, 999);
+});
+
+test('a save from a newer game version is refused instead of falling back to a backup', async () => {
+    const { clock, storage, emergencyStorage, modLoader, saveSystem } = await createClosingPage();
+
+    // A second save backs up the first one
+    clock.advance(10);
+    await saveSystem.save();
+    const slotKey = saveSystem.getSlotKey(saveSystem.slotIndex.activeSlot);
+
+    const newer = JSON.parse(await storage.get(slotKey));
+    newer.version = '99.0.0';
+    newer.resources.materials = 4242;
+    const newerData = JSON.stringify(newer);
+    await storage.set(slotKey, newerData);
+
+    const reloaded = new SaveSystem({ stateManager: createStateManager(clock), storage, emergencyStorage, clock, modLoader });
+    await reloaded.init();
+
+    assert.equal(reloaded.locked, true);
+    assert.deepEqual(reloaded.loadError, { reason: 'newer_version', version: '99.0.0' });
+    assert.equal(await reloaded.save(), false);
+    assert.equal(await storage.get(slotKey), newerData);
+});
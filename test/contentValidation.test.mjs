@@ -0,0 +1,45 @@
+// Content validation tests - run with `node --test test/`
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateContent } from '../js/data/contentValidation.js';
+import { STRUCTURES } from '../js/data/structures.js';
+import { TECH_TREE } from '../js/data/techTree.js';
+
+test('the shipped content has no errors', () => {
+    const errors = validateContent().filter(issue => issue.severity === 'error');
+    assert.deepEqual(errors, []);
+});
+
+test('tier production and upkeep keys must be known resources or effects', () => {
+    const collector = STRUCTURES.solar_collector;
+    const structures = {
+        ...STRUCTURES,
+        solar_collector: {
+            ...collector,
+            tiers: [{ ...collector.tiers[0], production: { enrgy: 12 }, upkeep: { materails: 1 } }, ...collector.tiers.slice(1)],
+        },
+    };
+
+    const messages = validateContent({ structures })
+        .filter(issue => issue.check === 'references')
+        .map(issue => issue.message);
+
+    assert.deepEqual(messages, [
+        'Structure "solar_collector" tier 2 has unknown production key "enrgy"',
+        'Structure "solar_collector" tier 2 has upkeep in unknown resource "materails"',
+    ]);
+});
+
+test('unlock and flag effects must be true, not a value the game would ignore', () => {
+    const techTree = {
+        ...TECH_TREE,
+        energy_transmission: { ...TECH_TREE.energy_transmission, effects: { energyTransfer: 0.99 } },
+    };
+
+    const messages = validateContent({ techTree })
+        .filter(issue => issue.check === 'effects')
+        .map(issue => issue.message);
+
+    assert.deepEqual(messages, ['Tech "energy_transmission" effect "energyTransfer" is a flag and must be true']);
+});
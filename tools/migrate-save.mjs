@@ -0,0 +1,56 @@
+// Save Migration Report - Dry-runs the migration chain on an exported save file
+//
+// Usage: node tools/migrate-save.mjs <save.json> [--write=<out.json>]
+//
+// Prints each step and the fields it added, removed or changed. Nothing is written
+// unless --write is given.
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { runMigrations } from '../js/core/SaveMigrations.js';
+
+// Keep long values on one short line
+function preview(value) {
+    const text = JSON.stringify(value);
+    return text && text.length > 60 ? text.slice(0, 57) + '...' : text;
+}
+
+function main() {
+    const [file, ...flags] = process.argv.slice(2);
+    if (!file) {
+        process.stderr.write('Usage: node tools/migrate-save.mjs <save.json> [--write=<out.json>]\n');
+        process.exit(1);
+    }
+
+    const writeFlag = flags.find(flag => flag.startsWith('--write='));
+    const result = runMigrations(JSON.parse(readFileSync(file, 'utf8')));
+
+    const lines = [];
+    for (const step of result.steps) {
+        lines.push(`${step.version}: ${step.description}`);
+        for (const change of step.changes) {
+            if (change.type === 'added') lines.push(`  + ${change.path} = ${preview(change.to)}`);
+            if (change.type === 'removed') lines.push(`  - ${change.path} (was ${preview(change.from)})`);
+            if (change.type === 'changed') lines.push(`  ~ ${change.path}: ${preview(change.from)} -> ${preview(change.to)}`);
+        }
+    }
+
+    if (!result.success) {
+        lines.push(`FAILED (${result.reason}) at ${result.version}:`);
+        result.errors.forEach(error => lines.push(`  ${error}`));
+        process.stdout.write(lines.join('\n') + '\n');
+        process.exit(1);
+    }
+
+    if (result.steps.length === 0) {
+        lines.push(`Save is already at ${result.toVersion}; nothing to migrate.`);
+    }
+
+    if (writeFlag) {
+        writeFileSync(writeFlag.slice('--write='.length), JSON.stringify(result.state, null, 2));
+        lines.push(`Wrote migrated save to ${writeFlag.slice('--write='.length)}`);
+    }
+
+    process.stdout.write(lines.join('\n') + '\n');
+}
+
+main();
@@ -0,0 +1,193 @@
+// Headless Simulation - Runs the economy without Three.js or the DOM for balance testing
+//
+// Usage: node tools/simulate.mjs [--policy=greedy|<path to module>] [--step=1] [--max-hours=500] [--json] [--verbose]
+//
+// A policy is an object with optional chooseResearch(ctx) and chooseBuild(ctx) hooks that
+// return a techId / structureId (or null). Custom policies are modules exporting one as default.
+
+import { pathToFileURL } from 'node:url';
+import { resolve } from 'node:path';
+import { CONFIG } from '../js/config.js';
+import { StateManager } from '../js/core/StateManager.js';
+import { ManualClock } from '../js/core/Clock.js';
+import { PlacementRegistry } from '../js/systems/PlacementRegistry.js';
+import { ResourceSystem } from '../js/systems/ResourceSystem.js';
+import { ConstructionSystem } from '../js/systems/ConstructionSystem.js';
+import { ProgressionSystem } from '../js/systems/ProgressionSystem.js';
+import { getTechUpfrontCost } from '../js/data/techTree.js';
+import { SECONDARY_RESOURCE_IDS } from '../js/data/resources.js';
+import { assertValidEffects } from '../js/data/effects.js';
+
+// Sum of a cost object's values, used to rank structures and techs
+function totalCost(cost = {}) {
+    return Object.values(cost).reduce((sum, amount) => sum + amount, 0);
+}
+
+// Secondary resources that some unlocked structure or available tech is still short of
+function getShortfalls({ stateManager, constructionSystem, progressionSystem }) {
+    const resources = stateManager.getState().resources;
+    const costs = [
+        ...constructionSystem.getAvailableStructures().map(structure => structure.cost),
+        ...progressionSystem.getAvailableTechs().map(tech => getTechUpfrontCost(tech)),
+    ];
+
+    return SECONDARY_RESOURCE_IDS.filter(resource =>
+        costs.some(cost => (cost[resource] || 0) > (resources[resource] || 0)));
+}
+
+// Built-in policies
+export const POLICIES = {
+    // Research the cheapest available tech; build the priciest affordable structure one at a time,
+    // preferring producers of any secondary resource that a cost is waiting on
+    greedy: {
+        name: 'greedy',
+
+        chooseResearch({ progressionSystem, stateManager }) {
+            const techs = progressionSystem.getAvailableTechs()
+                .filter(tech => !progressionSystem.isResearching(tech.id) &&
+                    stateManager.canAfford(getTechUpfrontCost(tech)));
+            techs.sort((a, b) => a.cost.research - b.cost.research);
+            return techs[0]?.id || null;
+        },
+
+        chooseBuild(ctx) {
+            const { constructionSystem, stateManager } = ctx;
+            if (stateManager.getQueue().length > 0) return null;
+
+            const buildable = constructionSystem.getAvailableStructures()
+                .filter(structure => constructionSystem.getStructureStatus(structure.id).canBuild);
+            buildable.sort((a, b) => totalCost(b.cost) - totalCost(a.cost));
+
+            const shortfalls = getShortfalls(ctx);
+            const producer = buildable.find(structure =>
+                shortfalls.some(resource => structure.production?.[resource]));
+
+            return producer?.id || buildable[0]?.id || null;
+        },
+    },
+};
+
+// Wire a fresh set of systems around a manual clock
+export function createSimulation({ clock = new ManualClock(0) } = {}) {
+    const stateManager = new StateManager({ clock });
+    const placementRegistry = new PlacementRegistry({ stateManager });
+    const resourceSystem = new ResourceSystem({ stateManager, placementRegistry });
+    const constructionSystem = new ConstructionSystem({ stateManager, resourceSystem, placementRegistry, clock });
+    const progressionSystem = new ProgressionSystem({ stateManager });
+
+    resourceSystem.init();
+    constructionSystem.init();
+    progressionSystem.init();
+
+    return { clock, stateManager, placementRegistry, resourceSystem, constructionSystem, progressionSystem };
+}
+
+// Run a policy until victory or the time limit; returns time-to-era and time-to-victory in seconds
+export function runSimulation(policy, { step = 1, maxHours = 500 } = {}) {
+    const sim = createSimulation();
+    const { clock, stateManager, resourceSystem, constructionSystem, progressionSystem } = sim;
+
+    const startTime = clock.now();
+    const elapsed = () => (clock.now() - startTime) / 1000;
+    const eraTimes = { 1: 0 };
+    let victoryTime = null;
+    let built = 0;
+    let researched = 0;
+
+    stateManager.subscribe('era:change', ({ newEra }) => {
+        eraTimes[newEra] = elapsed();
+    });
+    stateManager.subscribe('game:victory', () => {
+        victoryTime = elapsed();
+    });
+    stateManager.subscribe('construction:complete', () => built++);
+    stateManager.subscribe('research:complete', () => researched++);
+
+    const maxSeconds = maxHours * 3600;
+
+    while (victoryTime === null && elapsed() < maxSeconds) {
+        const techId = policy.chooseResearch?.(sim);
+        if (techId) progressionSystem.startResearch(techId);
+
+        const structureId = policy.chooseBuild?.(sim);
+        if (structureId) constructionSystem.build(structureId);
+
+        clock.advance(step);
+        resourceSystem.update(step);
+        constructionSystem.update(step);
+        progressionSystem.update(step);
+    }
+
+    const state = stateManager.getState();
+
+    return {
+        policy: policy.name || 'custom',
+        eraTimes,
+        victoryTime,
+        simulatedSeconds: elapsed(),
+        finalEra: state.currentEra,
+        solarCapture: state.solarCapture,
+        built,
+        researched,
+    };
+}
+
+// Format seconds as hours and minutes
+function formatDuration(seconds) {
+    if (seconds === null || seconds === undefined) return 'not reached';
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+}
+
+// Parse --key=value flags
+function parseArgs(argv) {
+    const args = {};
+    for (const arg of argv) {
+        const [key, value] = arg.replace(/^--/, '').split('=');
+        args[key] = value === undefined ? true : value;
+    }
+    return args;
+}
+
+async function loadPolicy(name = 'greedy') {
+    if (POLICIES[name]) return POLICIES[name];
+
+    const module = await import(pathToFileURL(resolve(name)).href);
+    return module.default;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+
+    // Systems log every event; keep the report readable
+    if (!args.verbose) {
+        console.log = () => {};
+        console.warn = () => {};
+    }
+
+    assertValidEffects();
+
+    const policy = await loadPolicy(args.policy);
+    const result = runSimulation(policy, {
+        step: Number(args.step) || 1,
+        maxHours: Number(args['max-hours']) || 500,
+    });
+
+    if (args.json) {
+        process.stdout.write(JSON.stringify(result, null, 2) + '\n');
+        return;
+    }
+
+    const lines = [`Policy: ${result.policy}`];
+    for (const [era, eraData] of Object.entries(CONFIG.ERAS)) {
+        lines.push(`  Era ${era} (${eraData.name}): ${formatDuration(result.eraTimes[era])}`);
+    }
+    lines.push(`  Victory: ${formatDuration(result.victoryTime)}`);
+    lines.push(`  Simulated ${formatDuration(result.simulatedSeconds)}, built ${result.built}, researched ${result.researched}, solar capture ${(result.solarCapture * 100).toFixed(3)}%`);
+    process.stdout.write(lines.join('\n') + '\n');
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    main();
+}
@@ -0,0 +1,36 @@
+// Content Validation Report - Loads every data module and reports broken cross-references
+//
+// Usage: node tools/validate-content.mjs [--json] [--strict]
+//
+// Exits with status 1 when there are errors (or any warning, with --strict).
+
+import { validateContent } from '../js/data/contentValidation.js';
+
+function main() {
+    const flags = process.argv.slice(2);
+    const issues = validateContent();
+    const errors = issues.filter(issue => issue.severity === 'error');
+    const warnings = issues.filter(issue => issue.severity === 'warning');
+
+    if (flags.includes('--json')) {
+        process.stdout.write(JSON.stringify(issues, null, 2) + '\n');
+    } else {
+        const lines = [];
+        const checks = [...new Set(issues.map(issue => issue.check))];
+
+        for (const check of checks) {
+            lines.push(`${check}:`);
+            for (const issue of issues.filter(entry => entry.check === check)) {
+                lines.push(`  ${issue.severity === 'error' ? 'ERROR' : 'warn '} ${issue.message}`);
+            }
+        }
+
+        lines.push(`${errors.length} error(s), ${warnings.length} warning(s)`);
+        process.stdout.write(lines.join('\n') + '\n');
+    }
+
+    const failed = errors.length > 0 || (flags.includes('--strict') && warnings.length > 0);
+    process.exit(failed ? 1 : 0);
+}
+
+main();